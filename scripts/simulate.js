@@ -0,0 +1,158 @@
+// Balance check: plays many seeded games headlessly with a simple autopilot and prints
+// score/survival statistics. Usage: npm run simulate -- --games 200 --skill 0.4 --difficulty hard
+// [--mode hardcore]. The default skill loses most games within a few minutes, so survival
+// times spread out; a skilled autopilot just plays until the --max-minutes cap.
+import { Logger } from "@babylonjs/core";
+import { createHeadlessSimulation, runHeadlessGame } from "../src/headless.js";
+import { createRng } from "../src/random.js";
+import { SIM_STEP } from "../src/config.js";
+import { INPUT_MOVE, INPUT_HIT_START, INPUT_HIT_END, INPUT_WIDTH } from "../src/replay.js";
+import { DEFAULT_DIFFICULTY, isDifficulty } from "../src/difficulty.js";
+import { DEFAULT_GAME_MODE, isGameMode } from "../src/gameModes.js";
+
+const TRAIL_X_OFFSET = 0.3; // Trails spawn 0.3 units left of the target zone (see TrailSpawner)
+const BEAM_LEAD = 0.2; // How far ahead of a tile's leading edge the autopilot starts imaging
+const CAPPED_GAMES_LIMIT = 10; // Stop once this many games in a row all hit the cap - the rest would too
+
+function parseArgs(argv) {
+  const options = {
+    games: 100,
+    seed: 1,
+    skill: 0.4,
+    maxMinutes: 10,
+    difficulty: DEFAULT_DIFFICULTY,
+    mode: DEFAULT_GAME_MODE,
+    json: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--games") options.games = parseInt(argv[++i], 10);
+    else if (arg === "--seed") options.seed = parseInt(argv[++i], 10);
+    else if (arg === "--skill") options.skill = parseFloat(argv[++i]);
+    else if (arg === "--max-minutes") options.maxMinutes = parseFloat(argv[++i]);
+    else if (arg === "--difficulty") options.difficulty = argv[++i];
+    else if (arg === "--mode") options.mode = argv[++i];
+    else if (arg === "--json") options.json = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!isDifficulty(options.difficulty)) {
+    throw new Error(`Unknown difficulty: ${options.difficulty}`);
+  }
+  if (!isGameMode(options.mode)) {
+    throw new Error(`Unknown game mode: ${options.mode}`);
+  }
+  return options;
+}
+
+// Aims at whichever tile is closest to passing the target line. Lower skill adds aim error.
+function createAutopilot(rng, skill) {
+  let currentTile = null;
+  let aimError = 0;
+
+  return (sim) => {
+    let tile = null;
+    let closestBack = -Infinity;
+    for (const candidate of sim.tiles) {
+      if (!candidate.clickable) continue;
+      const { back } = candidate.getZBounds();
+      if (back > closestBack) {
+        closestBack = back;
+        tile = candidate;
+      }
+    }
+
+    if (!tile) {
+      if (sim.isHitting) sim.applyInput(INPUT_HIT_END);
+      return;
+    }
+
+    if (tile !== currentTile) {
+      currentTile = tile;
+      aimError = (rng() * 2 - 1) * (1 - skill) * tile.TILE_WIDTH;
+    }
+
+    if (tile.widthIndex !== sim.targetWidthIndex) {
+      if (sim.isHitting) sim.applyInput(INPUT_HIT_END);
+      sim.applyInput(INPUT_WIDTH, tile.widthIndex);
+    }
+
+    const { left, right } = tile.getXBounds();
+    sim.applyInput(INPUT_MOVE, (left + right) / 2 + TRAIL_X_OFFSET + aimError);
+
+    // Start imaging just before the leading edge reaches the beam
+    const underBeam = tile.getZBounds().front >= -BEAM_LEAD;
+    if (underBeam && !sim.isHitting) sim.applyInput(INPUT_HIT_START);
+    if (!underBeam && sim.isHitting) sim.applyInput(INPUT_HIT_END);
+  };
+}
+
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+  return sorted[index];
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return {
+    mean: Math.round(mean * 10) / 10,
+    p10: percentile(sorted, 0.1),
+    median: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  Logger.LogLevels = Logger.ErrorLogLevel;
+
+  const { sim } = createHeadlessSimulation();
+  sim.setDifficulty(options.difficulty);
+  sim.setMode(options.mode);
+  const maxTicks = Math.round((options.maxMinutes * 60) / SIM_STEP);
+  const seedRng = createRng(options.seed);
+
+  const scores = [];
+  const survival = [];
+  let timedOut = 0;
+  let stoppedEarly = false;
+  for (let i = 0; i < options.games; i++) {
+    const seed = Math.floor(seedRng() * 4294967296);
+    const controller = createAutopilot(createRng(seed ^ 0x9e3779b9), options.skill);
+    const result = runHeadlessGame(sim, { seed, controller, maxTicks });
+    scores.push(result.score);
+    survival.push(Math.round(result.ticks * SIM_STEP));
+    if (!result.gameOver) timedOut++;
+    if (timedOut === scores.length && scores.length >= CAPPED_GAMES_LIMIT && scores.length < options.games) {
+      stoppedEarly = true;
+      break;
+    }
+  }
+
+  const report = {
+    games: scores.length,
+    skill: options.skill,
+    difficulty: options.difficulty,
+    mode: options.mode,
+    score: summarize(scores),
+    survivalSeconds: summarize(survival),
+    timedOut,
+    stoppedEarly,
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(
+      `Games: ${report.games} (skill ${report.skill}, ${report.difficulty}, ${report.mode}, ${timedOut} hit the ${options.maxMinutes} min cap)`
+    );
+    console.log(`Score    mean ${report.score.mean}  p10 ${report.score.p10}  median ${report.score.median}  p90 ${report.score.p90}`);
+    const s = report.survivalSeconds;
+    console.log(`Survival mean ${s.mean}s  p10 ${s.p10}s  median ${s.median}s  p90 ${s.p90}s`);
+    if (stoppedEarly) {
+      console.log("Stopped early: every game hit the cap. Lower --skill or raise --max-minutes to see any spread.");
+    }
+  }
+}
+
+main();
@@ -0,0 +1,112 @@
+// Leaderboard verifier: re-simulates submitted replays and keeps only the scores they
+// reproduce. Usage:
+//   npm run verify -- --file replay.json [--score 1234]     check one exported replay
+//   npm run verify -- --database http://127.0.0.1:9000 --namespace radarsat-2-game
+// Database mode talks to the Realtime Database REST API. Against the emulator the default
+// token "owner" has admin access; for production pass an OAuth access token with --token.
+// Each unchecked entry on every mode's board (scores/ for endless, scores-<mode>/ for the
+// others) is marked verified, or moved to rejected/ with the reason. Checked ids are recorded
+// under checked/, which only the verifier can write (see database.rules.json), so a client
+// can't skip verification by writing `verified` itself.
+import { readFile } from "node:fs/promises";
+import { Logger } from "@babylonjs/core";
+import { createHeadlessSimulation } from "../src/headless.js";
+import { verifySubmission } from "../src/verification.js";
+import { parseReplay } from "../src/replay.js";
+import { GAME_MODES } from "../src/gameModes.js";
+import { boardPath } from "../src/leaderboardQuery.js";
+
+function parseArgs(argv) {
+  const options = { file: null, score: null, database: null, namespace: null, token: "owner" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--file") options.file = argv[++i];
+    else if (arg === "--score") options.score = parseInt(argv[++i], 10);
+    else if (arg === "--database") options.database = argv[++i].replace(/\/+$/, "");
+    else if (arg === "--namespace") options.namespace = argv[++i];
+    else if (arg === "--token") options.token = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!options.file === !options.database) {
+    throw new Error("Pass either --file or --database");
+  }
+  return options;
+}
+
+async function verifyFile(sim, options) {
+  const replay = parseReplay(await readFile(options.file, "utf8"));
+  const score = options.score ?? replay.score;
+  const { verified, reason } = verifySubmission(sim, { score, replay });
+  console.log(verified ? `Verified: ${score}` : `Rejected: ${reason}`);
+  return verified;
+}
+
+function createDatabaseClient({ database, namespace, token }) {
+  return async (path, method = "GET", body = undefined) => {
+    const url = new URL(`${database}/${path}.json`);
+    if (namespace) url.searchParams.set("ns", namespace);
+    const response = await fetch(url, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new Error(`${method} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+  };
+}
+
+async function verifyDatabase(sim, options) {
+  const request = createDatabaseClient(options);
+  const checkedIds = (await request("checked")) ?? {};
+  let checked = 0;
+  let rejected = 0;
+
+  for (const mode of Object.keys(GAME_MODES)) {
+    const board = boardPath(mode);
+    const scores = (await request(board)) ?? {};
+
+    for (const [id, entry] of Object.entries(scores)) {
+      if (Object.prototype.hasOwnProperty.call(checkedIds, id)) continue;
+      const replay = await request(`replays/${id}`);
+      const { verified, reason } = replay
+        ? verifySubmission(sim, { score: entry.score, replay, mode })
+        : { verified: false, reason: "No replay submitted" };
+      checked++;
+
+      // One multi-path update, so an entry is never both on the board and rejected
+      if (verified) {
+        await request("", "PATCH", { [`${board}/${id}/verified`]: true, [`checked/${id}`]: true });
+      } else {
+        rejected++;
+        await request("", "PATCH", {
+          [`${board}/${id}`]: null,
+          [`rejected/${id}`]: { ...entry, mode, reason },
+          [`checked/${id}`]: true,
+        });
+      }
+      console.log(`${mode} ${id} ${entry.name} ${entry.score}: ${verified ? "verified" : `rejected (${reason})`}`);
+    }
+  }
+
+  console.log(`Checked ${checked} new scores, rejected ${rejected}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  Logger.LogLevels = Logger.ErrorLogLevel;
+  const { sim } = createHeadlessSimulation();
+
+  if (options.file) {
+    const verified = await verifyFile(sim, options);
+    process.exitCode = verified ? 0 : 1;
+  } else {
+    await verifyDatabase(sim, options);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
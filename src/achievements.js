@@ -0,0 +1,110 @@
+import { loadSetting, saveSetting } from './storage.js';
+import { BEAM_MODES } from './beamModes.js';
+
+const UNLOCKED_KEY = 'achievements';
+const STANDARD_BEAM = BEAM_MODES.findIndex((mode) => mode.name === 'Standard');
+
+// Each achievement is checked against the current run's state when its `on` event fires:
+// tilePassed, beamSwitch, dataLoss, tick (every frame) or gameOver. Names and descriptions
+// come from the `achievement.<id>.*` messages.
+export const ACHIEVEMENTS = [
+  { id: 'firstAcquisition', on: 'tilePassed', test: (run) => run.acquired >= 1 },
+  { id: 'perfectStreak', on: 'tilePassed', test: (run) => run.perfectStreak >= 10 },
+  { id: 'beamHopper', on: 'beamSwitch', test: (run) => run.beamSwitches >= 25 },
+  { id: 'cleanStart', on: 'tick', test: (run) => run.gameTime >= 120 && run.dataLosses === 0 },
+  { id: 'restCycle', on: 'tick', test: (run) => run.restCycles >= 1 },
+  { id: 'survivor', on: 'tick', test: (run) => run.gameTime >= 300 },
+  { id: 'highScore', on: 'tick', test: (run) => run.score >= 5000 },
+  {
+    id: 'noStandardBeam',
+    on: 'gameOver',
+    test: (run) => run.acquired >= 10 && !run.beamsUsed.has(STANDARD_BEAM),
+  },
+];
+
+// Unlock dates (ISO strings) by achievement id
+export function loadUnlocked() {
+  const unlocked = loadSetting(UNLOCKED_KEY, {});
+  return unlocked && typeof unlocked === 'object' ? unlocked : {};
+}
+
+function createRunState() {
+  return {
+    acquired: 0,
+    perfectStreak: 0,
+    beamSwitches: 0,
+    beamsUsed: new Set(), // Beam mode indices the radar actually imaged with
+    dataLosses: 0,
+    gameTime: 0,
+    restCycles: 0,
+    wasResting: false,
+    score: 0,
+  };
+}
+
+// Watches a simulation's events and unlocks achievements as their conditions are met.
+// Replays never unlock anything. `onUnlock(achievement)` fires once per new unlock.
+export class AchievementTracker {
+  constructor(sim, onUnlock) {
+    this.sim = sim;
+    this.onUnlock = onUnlock;
+    this.unlocked = loadUnlocked();
+    this.run = createRunState();
+
+    sim.onTilePassedObservable.add(({ percent, lostLife }) => {
+      if (!lostLife) this.run.acquired++;
+      // Unrounded, so only a fully covered acquisition counts (99.5% would show as 100%)
+      this.run.perfectStreak = percent >= 100 ? this.run.perfectStreak + 1 : 0;
+      this.check('tilePassed');
+    });
+    sim.onTargetWidthChangedObservable.add(() => {
+      this.run.beamSwitches++;
+      this.check('beamSwitch');
+    });
+    sim.onHittingChangedObservable.add(() => this.noteBeamUsed());
+    sim.onBeamReadyObservable.add(() => this.noteBeamUsed());
+    sim.onLivesChangedObservable.add(() => {
+      this.run.dataLosses++;
+      this.check('dataLoss');
+    });
+    // The replay player is already detached when a replay ends, so use the event's flag
+    sim.onGameOverObservable.add(({ replay }) => {
+      if (!replay) this.check('gameOver');
+    });
+  }
+
+  // Start counting a new run
+  startRun() {
+    this.run = createRunState();
+    this.noteBeamUsed();
+  }
+
+  // Once per frame while a run is in play: survival time and the spawner's rest cycle
+  update() {
+    const { spawner } = this.sim;
+    this.run.gameTime = spawner.gameTime;
+    this.run.score = this.sim.score;
+    if (this.run.wasResting && !spawner.isResting) this.run.restCycles++;
+    this.run.wasResting = spawner.isResting;
+    this.check('tick');
+  }
+
+  noteBeamUsed() {
+    if (this.sim.isImaging()) this.run.beamsUsed.add(this.sim.targetWidthIndex);
+  }
+
+  check(event) {
+    if (this.sim.isReplaying()) return;
+    for (const achievement of ACHIEVEMENTS) {
+      if (achievement.on !== event || this.isUnlocked(achievement.id)) continue;
+      if (!achievement.test(this.run)) continue;
+      this.unlocked[achievement.id] = new Date().toISOString();
+      saveSetting(UNLOCKED_KEY, this.unlocked);
+      this.onUnlock(achievement);
+    }
+  }
+
+  isUnlocked(id) {
+    return Object.prototype.hasOwnProperty.call(this.unlocked, id);
+  }
+}
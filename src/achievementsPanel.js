@@ -0,0 +1,41 @@
+import { ACHIEVEMENTS, loadUnlocked } from './achievements.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+
+// Every achievement with its description, locked ones dimmed and unlocked ones dated
+export class AchievementsPanel {
+  constructor() {
+    this.listElement = document.getElementById('achievementsList');
+    this.progressElement = document.getElementById('achievementsProgress');
+  }
+
+  render() {
+    const unlocked = loadUnlocked();
+    const count = ACHIEVEMENTS.filter(({ id }) => Object.prototype.hasOwnProperty.call(unlocked, id)).length;
+    this.progressElement.textContent = t('achievements.progress', {
+      unlocked: formatNumber(count),
+      total: formatNumber(ACHIEVEMENTS.length),
+    });
+
+    this.listElement.innerHTML = '';
+    for (const { id } of ACHIEVEMENTS) {
+      const date = Object.prototype.hasOwnProperty.call(unlocked, id) ? unlocked[id] : null;
+      const item = document.createElement('div');
+      item.className = date ? 'achievement unlocked' : 'achievement';
+
+      const name = document.createElement('span');
+      name.className = 'achievement-name';
+      name.textContent = t(`achievement.${id}.name`);
+      const description = document.createElement('span');
+      description.className = 'achievement-description';
+      description.textContent = t(`achievement.${id}.description`);
+      const status = document.createElement('span');
+      status.className = 'achievement-status';
+      status.textContent = date
+        ? t('achievements.unlockedOn', { date: formatDate(new Date(date), { dateStyle: 'medium' }) })
+        : t('achievements.locked');
+
+      item.append(name, description, status);
+      this.listElement.appendChild(item);
+    }
+  }
+}
@@ -0,0 +1,155 @@
+// Synthesized sound effects and ambient music on WebAudio - no audio files to download.
+// Browsers only allow audio after a user gesture, so nothing is created until unlock() is
+// called from a click handler; every cue before that is silently dropped.
+export class AudioEngine {
+  constructor() {
+    this.context = null;
+    this.volumes = { masterVolume: 0.8, sfxVolume: 0.8, musicVolume: 0.4, muted: false };
+    this.hum = null; // Imaging hum voice while the radar is on
+  }
+
+  unlock() {
+    if (this.context) {
+      if (this.context.state === 'suspended') this.context.resume();
+      return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    this.context = new AudioContextClass();
+    this.master = this.context.createGain();
+    this.master.connect(this.context.destination);
+    this.sfx = this.context.createGain();
+    this.sfx.connect(this.master);
+    this.musicBus = this.context.createGain();
+    this.musicBus.connect(this.master);
+    this.applyVolumes();
+    this.startMusic();
+  }
+
+  setVolumes({ masterVolume, sfxVolume, musicVolume, muted }) {
+    this.volumes = { masterVolume, sfxVolume, musicVolume, muted };
+    this.applyVolumes();
+  }
+
+  applyVolumes() {
+    if (!this.context) return;
+    const now = this.context.currentTime;
+    const { masterVolume, sfxVolume, musicVolume, muted } = this.volumes;
+    this.master.gain.setTargetAtTime(muted ? 0 : masterVolume, now, 0.05);
+    this.sfx.gain.setTargetAtTime(sfxVolume, now, 0.05);
+    this.musicBus.gain.setTargetAtTime(musicVolume, now, 0.05);
+  }
+
+  // One enveloped oscillator note on the SFX bus
+  tone({ type = 'sine', frequency, endFrequency = frequency, start = 0, duration, volume = 0.3 }) {
+    if (!this.context) return;
+    const time = this.context.currentTime + start;
+    const oscillator = this.context.createOscillator();
+    const gain = this.context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, time);
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    oscillator.connect(gain);
+    gain.connect(this.sfx);
+    oscillator.start(time);
+    oscillator.stop(time + duration + 0.05);
+  }
+
+  beamOn() {
+    this.tone({ type: 'square', frequency: 440, endFrequency: 880, duration: 0.08, volume: 0.12 });
+  }
+
+  beamOff() {
+    this.tone({ type: 'square', frequency: 660, endFrequency: 330, duration: 0.08, volume: 0.1 });
+  }
+
+  beamSwitch() {
+    this.tone({ type: 'triangle', frequency: 1200, duration: 0.05, volume: 0.15 });
+    this.tone({ type: 'triangle', frequency: 900, start: 0.06, duration: 0.05, volume: 0.15 });
+  }
+
+  // Acquisition result: rising chime for 80%+, single note for a pass, low buzz for data loss
+  tileResult(percent, lostLife) {
+    if (lostLife) {
+      this.tone({ type: 'sawtooth', frequency: 140, endFrequency: 70, duration: 0.45, volume: 0.2 });
+    } else if (percent >= 80) {
+      [523, 659, 784].forEach((frequency, i) => {
+        this.tone({ frequency, start: i * 0.07, duration: 0.25, volume: 0.2 });
+      });
+    } else {
+      this.tone({ frequency: 440, duration: 0.25, volume: 0.18 });
+    }
+  }
+
+  gameOver() {
+    [392, 330, 262, 196].forEach((frequency, i) => {
+      this.tone({ type: 'triangle', frequency, start: i * 0.22, duration: 0.4, volume: 0.25 });
+    });
+  }
+
+  // Two-note fanfare when an achievement unlocks
+  achievement() {
+    [784, 1047].forEach((frequency, i) => {
+      this.tone({ type: 'triangle', frequency, start: i * 0.12, duration: 0.3, volume: 0.2 });
+    });
+  }
+
+  // Low filtered drone while the radar is imaging
+  setHum(on) {
+    if (!this.context || on === (this.hum !== null)) return;
+    const now = this.context.currentTime;
+
+    if (!on) {
+      const { oscillator, gain } = this.hum;
+      gain.gain.setTargetAtTime(0, now, 0.05);
+      oscillator.stop(now + 0.3);
+      this.hum = null;
+      return;
+    }
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.value = 55;
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 400;
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.setTargetAtTime(0.08, now, 0.05);
+    oscillator.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.sfx);
+    oscillator.start(now);
+    this.hum = { oscillator, gain };
+  }
+
+  // Slow ambient pad: detuned sines through a lowpass filter that drifts with an LFO
+  startMusic() {
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 600;
+    filter.connect(this.musicBus);
+
+    const lfo = this.context.createOscillator();
+    lfo.frequency.value = 0.05;
+    const lfoDepth = this.context.createGain();
+    lfoDepth.gain.value = 300;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(filter.frequency);
+    lfo.start();
+
+    [110, 110.6, 164.8, 220.4].forEach((frequency) => {
+      const oscillator = this.context.createOscillator();
+      oscillator.frequency.value = frequency;
+      const gain = this.context.createGain();
+      gain.gain.value = 0.05;
+      oscillator.connect(gain);
+      gain.connect(filter);
+      oscillator.start();
+    });
+  }
+}
@@ -0,0 +1,62 @@
+// Beam modes the player can image with, loosely modelled on RADARSAT-2's SAR modes. The HUD
+// legend, key bindings, tile widths, trail widths and colours are all generated from this
+// list, so a new mode only needs a new entry (palettes.js may override its colour). Order
+// matters: a mode's index is what tiles, trails and recorded replays refer to, so append new
+// modes rather than reordering.
+//
+//   outline     - dash pattern of its tile outlines, target zone and legend swatch, so modes
+//                 can be told apart without colour (a key of OUTLINE_PATTERNS)
+//   color       - outline and legend colour, used by any palette that doesn't override it
+//   swathWidth  - width of the target zone and of tiles imaged in this mode (world units)
+//   key         - default KeyboardEvent.code that selects the mode and its legend label
+//                 (players can rebind it, see keyBindings.js)
+//   dataRate    - data generated while imaging (Mbit/s)
+//   resolution  - nominal ground resolution (metres)
+export const BEAM_MODES = [
+  {
+    name: 'Ultra-Fine',
+    outline: 'dotted',
+    color: '#ff3333',
+    swathWidth: 0.8,
+    key: { code: 'KeyA', label: 'A' },
+    dataRate: 450,
+    resolution: 3,
+  },
+  {
+    name: 'Fine',
+    outline: 'dashed',
+    color: '#3388ff',
+    swathWidth: 1.5,
+    key: { code: 'KeyS', label: 'S' },
+    dataRate: 300,
+    resolution: 8,
+  },
+  {
+    name: 'Standard',
+    outline: 'solid',
+    color: '#33ff4d',
+    swathWidth: 2.3,
+    key: { code: 'KeyD', label: 'D' },
+    dataRate: 150,
+    resolution: 25,
+  },
+  {
+    name: 'ScanSAR',
+    outline: 'double',
+    color: '#cc66ff',
+    swathWidth: 3.0,
+    key: { code: 'KeyF', label: 'F' },
+    dataRate: 100,
+    resolution: 50,
+  },
+];
+
+// Dash and gap lengths in world units for each outline style, or for "double" the spacing
+// of the inner line. The names match CSS border-style values so the HUD can draw the same
+// pattern.
+export const OUTLINE_PATTERNS = {
+  solid: null,
+  dashed: { dash: 0.3, gap: 0.15 },
+  dotted: { dash: 0.05, gap: 0.1 },
+  double: { inset: 0.1 },
+};
@@ -0,0 +1,69 @@
+import { loadSetting, saveSetting } from './storage.js';
+import { BEAM_MODES } from './beamModes.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from './gameModes.js';
+
+const HISTORY_KEY = 'gameHistory';
+const MAX_HISTORY = 500; // Oldest games are dropped beyond this
+
+// Every finished (non-replay) game, oldest first. Each record is the simulation's run
+// summary plus { date, score, seed, difficulty, mode, orbital }.
+export function loadHistory() {
+  const history = loadSetting(HISTORY_KEY, []);
+  return Array.isArray(history) ? history.filter((game) => game && Number.isFinite(game.score)) : [];
+}
+
+export function recordGame(game) {
+  const history = [...loadHistory(), game].slice(-MAX_HISTORY);
+  saveSetting(HISTORY_KEY, history);
+  return history;
+}
+
+export function clearHistory() {
+  saveSetting(HISTORY_KEY, []);
+}
+
+export function serializeHistory(history) {
+  return JSON.stringify({ v: 1, games: history }, null, 2);
+}
+
+// Lifetime totals, personal bests per game mode and per-beam-mode accuracy for the stats panel.
+// Games saved before modes existed count as endless.
+export function summarizeCareer(history) {
+  const totals = { games: history.length, score: 0, duration: 0, imaging: 0, seen: 0, acquired: 0, lost: 0 };
+  const bests = Object.fromEntries(
+    Object.keys(GAME_MODES).map((mode) => [mode, { games: 0, score: 0, duration: 0, acquired: 0 }])
+  );
+  const beams = Object.fromEntries(BEAM_MODES.map((mode) => [mode.name, { tiles: 0, acquired: 0, coverage: 0 }]));
+
+  for (const game of history) {
+    const tiles = game.tiles ?? {};
+    totals.score += game.score;
+    totals.duration += game.duration ?? 0;
+    totals.imaging += game.imaging ?? 0;
+    totals.seen += tiles.seen ?? 0;
+    totals.acquired += tiles.acquired ?? 0;
+    totals.lost += tiles.lost ?? 0;
+
+    const best = bests[game.mode ?? DEFAULT_GAME_MODE];
+    if (best) {
+      best.games++;
+      best.score = Math.max(best.score, game.score);
+      best.duration = Math.max(best.duration, game.duration ?? 0);
+      best.acquired = Math.max(best.acquired, tiles.acquired ?? 0);
+    }
+
+    for (const [name, beam] of Object.entries(game.beams ?? {})) {
+      if (!Object.prototype.hasOwnProperty.call(beams, name)) continue;
+      beams[name].tiles += beam.tiles;
+      beams[name].acquired += beam.acquired;
+      beams[name].coverage += beam.coverage * beam.tiles; // Re-weight each run's average
+    }
+  }
+
+  for (const beam of Object.values(beams)) {
+    beam.coverage = beam.tiles === 0 ? null : beam.coverage / beam.tiles;
+    beam.accuracy = beam.tiles === 0 ? null : beam.acquired / beam.tiles;
+  }
+
+  return { totals, bests, beams };
+}
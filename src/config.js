@@ -1,10 +1,8 @@
+import { Vector3 } from "@babylonjs/core";
+
 export const SPHERE_RADIUS = 300;
 export const HEIGHT_OFFSET = 0.1;
 export const EARTH_TEXTURE_ROTATE_SPEED = 0.0005;
-export const TILE_WIDTHS = [0.8, 1.5, 2.3];
-export const WIDTH_COLORS = [
-  { r: 1, g: 0.2, b: 0.2 },
-  { r: 0.2, g: 0.5, b: 1 },
-  { r: 0.2, g: 1, b: 0.3 },
-];
-export const WIDTH_CSS_COLORS = ['#ff3333', '#3388ff', '#33ff4d'];
+export const POLYGON_TILE_CHANCE = 0.25; // Share of acquisitions spawned as polygon AOIs
+export const SIM_STEP = 1 / 60; // Fixed simulation timestep (seconds) so runs replay identically
+export const SATELLITE_POS = new Vector3(0, 6, 0);
@@ -0,0 +1,102 @@
+import {
+  createDefaultKeyBindings,
+  findConflict,
+  getActionName,
+  labelForKeyEvent,
+  PAUSE_CODES,
+} from './keyBindings.js';
+import { t } from './i18n.js';
+
+// Key binding rows for the settings panel. Clicking a row's button captures the next key
+// press; Escape cancels, and a key already used by another action (or reserved for pause) is
+// refused with a message.
+export class ControlsPanel {
+  constructor(container, messageElement, bindings, onChange) {
+    this.container = container;
+    this.messageElement = messageElement;
+    this.bindings = bindings;
+    this.onChange = onChange;
+    this.capturing = null; // { action, button } while waiting for a key
+    this.buttons = {};
+
+    this.render();
+
+    // Capture phase on document runs before the game's own window listeners
+    document.addEventListener('keydown', (event) => this.handleKey(event), true);
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    for (const action of Object.keys(this.bindings)) {
+      const row = document.createElement('div');
+      row.className = 'binding';
+
+      const name = document.createElement('span');
+      name.textContent = getActionName(action);
+
+      const button = document.createElement('button');
+      button.className = 'binding-key';
+      button.textContent = this.bindings[action].label;
+      button.addEventListener('click', () => this.startCapture(action, button));
+
+      row.append(name, button);
+      this.container.appendChild(row);
+      this.buttons[action] = button;
+    }
+  }
+
+  startCapture(action, button) {
+    this.cancelCapture();
+    this.capturing = { action, button };
+    button.textContent = t('controls.pressKey');
+    button.classList.add('capturing');
+    this.showMessage('');
+  }
+
+  cancelCapture() {
+    if (!this.capturing) return;
+    const { action, button } = this.capturing;
+    button.textContent = this.bindings[action].label;
+    button.classList.remove('capturing');
+    this.capturing = null;
+  }
+
+  handleKey(event) {
+    if (!this.capturing) return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.code === 'Escape') {
+      this.cancelCapture();
+      return;
+    }
+
+    if (PAUSE_CODES.includes(event.code)) {
+      this.showMessage(t('controls.reserved', { key: labelForKeyEvent(event) }));
+      return;
+    }
+
+    const { action } = this.capturing;
+    const conflict = findConflict(this.bindings, action, event.code);
+    if (conflict) {
+      this.showMessage(t('controls.conflict', { key: labelForKeyEvent(event), action: getActionName(conflict) }));
+      return;
+    }
+
+    this.bindings[action] = { code: event.code, label: labelForKeyEvent(event) };
+    this.cancelCapture();
+    this.onChange(this.bindings);
+  }
+
+  resetToDefaults() {
+    this.cancelCapture();
+    this.bindings = createDefaultKeyBindings();
+    this.render();
+    this.showMessage('');
+    this.onChange(this.bindings);
+  }
+
+  showMessage(text) {
+    this.messageElement.textContent = text;
+  }
+}
@@ -0,0 +1,109 @@
+const CELL_SIZE = 0.05; // World units per grid cell side
+const UNCOVERED = 0;
+const COVERED = 1;
+const OUTSIDE = 2;
+
+// Rasterized occupancy grid of the imaged part of a tile. Coordinates are tile-local:
+// x runs from the tile's left edge, y from its back (trailing) edge. Marking an area twice
+// has no further effect, so overlapping sweeps are only counted once.
+// An optional contains(x, y) test limits the grid to a non-rectangular target; cells whose
+// centres fall outside it are never counted, which clips every strip to the outline.
+export class CoverageGrid {
+  constructor(width, depth, contains = null, cellSize = CELL_SIZE) {
+    this.width = width;
+    this.depth = depth;
+    this.cols = Math.max(1, Math.round(width / cellSize));
+    this.rows = Math.max(1, Math.round(depth / cellSize));
+    this.cellWidth = width / this.cols;
+    this.cellDepth = depth / this.rows;
+    this.cells = new Uint8Array(this.cols * this.rows);
+    this.coveredCount = 0;
+    this.totalCount = this.cells.length;
+
+    // Cells outside the target start out as OUTSIDE so they can never be marked
+    if (contains) {
+      for (let row = 0; row < this.rows; row++) {
+        for (let col = 0; col < this.cols; col++) {
+          const x = (col + 0.5) * this.cellWidth;
+          const y = (row + 0.5) * this.cellDepth;
+          if (!contains(x, y)) {
+            this.cells[row * this.cols + col] = OUTSIDE;
+            this.totalCount--;
+          }
+        }
+      }
+    }
+  }
+
+  // Index range of cells whose centres fall inside [start, end)
+  cellRange(start, end, cellSize, count) {
+    const first = Math.max(0, Math.ceil(start / cellSize - 0.5));
+    const last = Math.min(count, Math.ceil(end / cellSize - 0.5));
+    return [first, last];
+  }
+
+  markRect(x0, x1, y0, y1) {
+    const [colStart, colEnd] = this.cellRange(x0, x1, this.cellWidth, this.cols);
+    const [rowStart, rowEnd] = this.cellRange(y0, y1, this.cellDepth, this.rows);
+
+    for (let row = rowStart; row < rowEnd; row++) {
+      const offset = row * this.cols;
+      for (let col = colStart; col < colEnd; col++) {
+        if (this.cells[offset + col] === UNCOVERED) {
+          this.cells[offset + col] = COVERED;
+          this.coveredCount++;
+        }
+      }
+    }
+  }
+
+  isCovered(col, row) {
+    return this.cells[row * this.cols + col] === COVERED;
+  }
+
+  isMissed(col, row) {
+    return this.cells[row * this.cols + col] === UNCOVERED;
+  }
+
+  getCoveredFraction() {
+    return this.totalCount === 0 ? 0 : this.coveredCount / this.totalCount;
+  }
+
+  // Uncovered area as tile-local rectangles { x0, x1, y0, y1 }. Runs of missed cells are
+  // found per row, then identical runs on consecutive rows are merged into one rectangle.
+  getMissedRegions() {
+    const regions = [];
+    let open = new Map(); // "colStart:colEnd" -> region still growing downwards
+
+    for (let row = 0; row < this.rows; row++) {
+      const next = new Map();
+      let col = 0;
+      while (col < this.cols) {
+        if (!this.isMissed(col, row)) {
+          col++;
+          continue;
+        }
+        const start = col;
+        while (col < this.cols && this.isMissed(col, row)) col++;
+
+        const key = `${start}:${col}`;
+        let region = open.get(key);
+        if (region) {
+          region.y1 = (row + 1) * this.cellDepth;
+        } else {
+          region = {
+            x0: start * this.cellWidth,
+            x1: col * this.cellWidth,
+            y0: row * this.cellDepth,
+            y1: (row + 1) * this.cellDepth,
+          };
+          regions.push(region);
+        }
+        next.set(key, region);
+      }
+      open = next;
+    }
+
+    return regions;
+  }
+}
@@ -0,0 +1,14 @@
+// Spacecraft agility per difficulty. The target zone chases the aim point at up to slewRate
+// (units/s), speeding up and slowing down at slewAcceleration (units/s^2); switching beam
+// mode takes beamSwitchDelay seconds, during which the radar cannot image.
+export const DIFFICULTY_PRESETS = {
+  easy: { slewRate: 20, slewAcceleration: 120, beamSwitchDelay: 0.15 },
+  normal: { slewRate: 12, slewAcceleration: 60, beamSwitchDelay: 0.3 },
+  hard: { slewRate: 8, slewAcceleration: 30, beamSwitchDelay: 0.5 },
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export function isDifficulty(name) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, name);
+}
@@ -0,0 +1,81 @@
+import { boardPath, entryMode, inWindow, sortByScore, rankOf, bestOf } from './leaderboardQuery.js';
+
+function snapshotValues(snapshot) {
+  const values = [];
+  snapshot.forEach((child) => {
+    values.push(child.val());
+  });
+  return values;
+}
+
+// Global leaderboard in Firebase Realtime Database. Errors are thrown so the caller can fall
+// back to the local board.
+export class FirebaseLeaderboard {
+  constructor(firebaseConfig) {
+    this.id = 'firebase';
+    this.config = firebaseConfig;
+    this.db = null;
+  }
+
+  async init() {
+    const { initializeApp } = await import('firebase/app');
+    const { getDatabase, ref, update, query, orderByChild, limitToLast, startAt, startAfter, equalTo, get } =
+      await import('firebase/database');
+
+    const app = initializeApp(this.config);
+    this.db = getDatabase(app);
+    this._ref = ref;
+    this._update = update;
+    this._query = query;
+    this._orderByChild = orderByChild;
+    this._limitToLast = limitToLast;
+    this._startAt = startAt;
+    this._startAfter = startAfter;
+    this._equalTo = equalTo;
+    this._get = get;
+  }
+
+  // Stored under the entry's submission id on its mode's board, so a retried submission
+  // overwrites itself. The replay lives in its own node so reading the board doesn't download
+  // every input log.
+  async submitScore(entry) {
+    const { replay, ...score } = entry;
+    await this._update(this._ref(this.db), {
+      [`${boardPath(entryMode(entry))}/${entry.id}`]: score,
+      [`replays/${entry.id}`]: replay,
+    });
+  }
+
+  // The database can only order by one child, so windowed boards fetch the window by date
+  // and rank it here. Daily and weekly windows stay small enough for that.
+  async getWindow(mode, since) {
+    const scoresRef = this._ref(this.db, boardPath(mode));
+    const q = this._query(scoresRef, this._orderByChild('date'), this._startAt(since));
+    return snapshotValues(await this._get(q));
+  }
+
+  async getTopScores(limit, { mode, since = null, offset = 0 }) {
+    if (since) return sortByScore(await this.getWindow(mode, since)).slice(offset, offset + limit);
+
+    const scoresRef = this._ref(this.db, boardPath(mode));
+    const q = this._query(scoresRef, this._orderByChild('score'), this._limitToLast(offset + limit));
+    const results = snapshotValues(await this._get(q));
+    return results.reverse().slice(offset); // highest score first
+  }
+
+  async getRank(score, { mode, since = null }) {
+    if (since) return rankOf(await this.getWindow(mode, since), score);
+
+    const scoresRef = this._ref(this.db, boardPath(mode));
+    const q = this._query(scoresRef, this._orderByChild('score'), this._startAfter(score));
+    const snapshot = await this._get(q);
+    return snapshot.size + 1;
+  }
+
+  async getBestScore(name, { mode, since = null }) {
+    const scoresRef = this._ref(this.db, boardPath(mode));
+    const q = this._query(scoresRef, this._orderByChild('name'), this._equalTo(name));
+    const entries = snapshotValues(await this._get(q)).filter((entry) => inWindow(entry, since));
+    return bestOf(entries, name);
+  }
+}
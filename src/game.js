@@ -4,40 +4,52 @@ import {
   Color3,
   Vector3,
 } from "@babylonjs/core";
-
-const SATELLITE_POS = new Vector3(0, 6, 0);
-import { AdvancedDynamicTexture, TextBlock } from "@babylonjs/gui";
-import { TileSpawner } from "./tile.js";
-import { TrailSpawner } from "./trail.js";
-import { HEIGHT_OFFSET, TILE_WIDTHS, WIDTH_COLORS, EARTH_TEXTURE_ROTATE_SPEED } from "./config.js";
-
+import { AdvancedDynamicTexture, Control, Rectangle, TextBlock } from "@babylonjs/gui";
+import { Simulation } from "./simulation.js";
+import { randomSeed } from "./random.js";
+import { INPUT_MOVE, INPUT_HIT_START, INPUT_HIT_END, INPUT_WIDTH, INPUT_END } from "./replay.js";
+import { OrbitalMode, formatLatLon } from "./orbit.js";
+import { HEIGHT_OFFSET, EARTH_TEXTURE_ROTATE_SPEED, SATELLITE_POS } from "./config.js";
+import { BEAM_MODES } from "./beamModes.js";
+import { createBeamOutline } from "./outline.js";
+import { getBeamColor, getBeamCssColor } from "./palettes.js";
+import { applyTrailPalette } from "./trail.js";
+import { t, formatNumber, formatDate } from "./i18n.js";
+import { DEFAULT_DIFFICULTY } from "./difficulty.js";
+import { DEFAULT_GAME_MODE } from "./gameModes.js";
+import { AchievementTracker } from "./achievements.js";
+
+const MAX_MISSED_OVERLAYS = 100; // Largest missed regions drawn per tile
+const RESUME_COUNTDOWN = 3; // Seconds counted down before play resumes from the pause menu
+const BEAM_LINE_COLOR = new Color3(1, 1, 1);
+const BEAM_SWITCHING_COLOR = new Color3(1, 0.6, 0.1); // Beam lines while the radar reconfigures
+const TARGET_DEPTH = 0.3;
+const TOAST_DURATION = 3.5; // Seconds an achievement toast stays up
+const TOAST_FADE = 0.5; // Seconds it takes to fade out at the end
+
+// Presentation layer: renders the simulation's target zone, HUD and GUI flashes
 export class Game {
-  constructor(scene, camera, engine, ground, earthTexture) {
+  constructor(scene, camera, engine, ground, earth, earthTexture) {
     this.scene = scene;
     this.camera = camera;
     this.engine = engine;
     this.ground = ground;
+    this.earth = earth;
     this.earthTexture = earthTexture;
-
-
-    // Game parameters
-    this.tileSpeed = 10; // Units per second (linear velocity)
-    this.sphereRadius = 300; // Sphere radius
-    this.angularVelocity = this.tileSpeed / this.sphereRadius; // Radians per second
-
-    // Game state
-    this.tiles = [];
-    this.spawner = new TileSpawner(this.angularVelocity);
-    this.trailSpawner = new TrailSpawner();
-    this.score = 0;
-    this.lives = 3;
-    this.gameOver = false;
-    this.isHitting = false;
-    this.paused = false;
+    this.orbitalMode = null; // Set when the Earth follows the real RADARSAT-2 orbit
+    this.audio = null; // Optional AudioEngine for sound cues
+
+    // Simulation core (tiles, trails, scoring) - this class only presents it
+    this.sim = new Simulation(scene, ground);
+    this.paused = false; // Held behind the start menu - the globe keeps turning
+    this.pauseState = null; // In-game pause: null, "paused" or "countdown" - everything freezes
+    this.countdownRemaining = 0;
+    this.difficulty = DEFAULT_DIFFICULTY; // Applied at the start of each run
+    this.mode = DEFAULT_GAME_MODE; // Likewise
+    this.fixedSeed = null; // Seed the player asked for (?seed=), replayed by every restart
 
     // Target zone width tracking
-    this.targetWidthIndex = 0; // Default to first width (key A)
-    this.targetWidth = TILE_WIDTHS[this.targetWidthIndex];
+    this.targetWidth = BEAM_MODES[this.sim.targetWidthIndex].swathWidth;
 
     // Create target zone and beam lines
     this.targetZone = this.createTargetZone();
@@ -46,13 +58,23 @@ export class Game {
     // UI elements
     this.scoreElement = document.getElementById("score");
     this.livesElement = document.getElementById("lives");
+    this.timerElement = document.getElementById("timer");
     this.gameOverElement = document.getElementById("gameOver");
     this.finalScoreElement = document.getElementById("finalScore");
     this.finalHighScoreElement = document.getElementById("finalHighScore");
+    this.finalSeedElement = document.getElementById("finalSeed");
     this.restartButton = document.getElementById("restart");
     this.hudElement = document.getElementById("hud");
-
-    // Session high score
+    this.replayBadgeElement = document.getElementById("replayBadge");
+    this.orbitInfoElement = document.getElementById("orbitInfo");
+    this.recorderGaugeElement = document.getElementById("recorderGauge");
+    this.batteryGaugeElement = document.getElementById("batteryGauge");
+    this.pendingElement = document.getElementById("pendingScore");
+    this.downlinkElement = document.getElementById("downlinkStatus");
+    this.finalLostElement = document.getElementById("finalLost");
+    this.countdownElement = document.getElementById("countdown");
+
+    // Best score on this device (main seeds it from the saved game history)
     this.highScore = 0;
 
     this.restartButton.addEventListener("click", () => this.restart());
@@ -60,6 +82,7 @@ export class Game {
     // GUI for percentage flashes
     this.guiTexture = AdvancedDynamicTexture.CreateFullscreenUI("UI", true, this.scene);
     this.activeFlashes = []; // Track active flash animations
+    this.missedMaterial = null; // Shared by missed-region overlays, created on first use
 
     // Pre-allocate TextBlock pool for percentage flashes (avoids per-miss allocations)
     this.flashPool = [];
@@ -76,7 +99,7 @@ export class Game {
       this.flashPool.push(textBlock);
 
       const lossText = new TextBlock();
-      lossText.text = "DATA LOSS +1";
+      lossText.text = t("hud.dataLoss");
       lossText.color = "#ff4444";
       lossText.fontSize = 28;
       lossText.fontWeight = "bold";
@@ -87,36 +110,99 @@ export class Game {
       this.lossTextPool.push(lossText);
     }
 
-    // Legend items for highlighting and clicking
-    this.legendItems = document.querySelectorAll('.legend-item');
-    this.legendItems.forEach((item) => {
-      item.addEventListener('click', () => {
-        const index = parseInt(item.dataset.index);
-        this.setTargetWidthIndex(index);
-      });
+    // Spacecraft warnings (recorder overflow, battery brownout)
+    this.alertText = new TextBlock();
+    this.alertText.fontSize = 32;
+    this.alertText.fontWeight = "bold";
+    this.alertText.outlineWidth = 2;
+    this.alertText.outlineColor = "black";
+    this.alertText.top = "-25%";
+    this.alertText.isVisible = false;
+    this.guiTexture.addControl(this.alertText);
+
+    // Achievement unlocks, shown one at a time at the top of the screen
+    this.toast = this.createToast();
+    this.toastQueue = [];
+    this.achievements = new AchievementTracker(this.sim, (achievement) => {
+      this.toastQueue.push(achievement);
+      if (this.audio) this.audio.achievement();
     });
+
+    // Legend items for highlighting and clicking
+    this.legendItems = this.createLegend();
+    this.applyLanguage();
     this.updateLegendHighlight();
+
+    this.subscribeToSimulation();
+  }
+
+  subscribeToSimulation() {
+    this.sim.onTileSpawnedObservable.add((tile) => {
+      // Tag targets with the real coordinates they were placed over
+      if (this.orbitalMode) tile.geo = this.orbitalMode.locate(tile.mesh.position);
+    });
+    this.sim.onTilePassedObservable.add(({ tile, percent, lostLife }) => {
+      this.showPercentageFlash(tile, percent, lostLife);
+      if (this.audio) this.audio.tileResult(percent, lostLife);
+      this.showMissedRegions(tile);
+    });
+    this.sim.onScoreChangedObservable.add(() => this.updateScore());
+    this.sim.onDownlinkChangedObservable.add((station) => this.updateDownlinkStatus(station));
+    this.sim.onLivesChangedObservable.add(() => this.updateLives());
+    this.sim.onTargetMovedObservable.add((x) => {
+      this.targetZone.position.x = x;
+      this.updateBeamLines();
+    });
+    this.sim.onTargetWidthChangedObservable.add(() => {
+      this.updateTargetWidth();
+      if (this.audio) this.audio.beamSwitch();
+    });
+    this.sim.onHittingChangedObservable.add((hitting) => {
+      this.updateTargetColor();
+      if (!this.audio) return;
+      if (hitting) this.audio.beamOn();
+      else this.audio.beamOff();
+    });
+    this.sim.onBeamReadyObservable.add(() => this.updateTargetColor());
+    this.sim.onResourceEventObservable.add((event) => this.showResourceAlert(event));
+    this.sim.onGameOverObservable.add(({ replay, lostPoints, lostData }) => {
+      this.showGameOver(replay, lostPoints, lostData);
+      if (this.audio) this.audio.gameOver();
+    });
   }
 
   createTargetZone() {
     // Create a thin rectangular target zone with current width
     const mesh = MeshBuilder.CreatePlane(
       "targetZone",
-      { width: this.targetWidth, height: 0.3 },
+      { width: this.targetWidth, height: TARGET_DEPTH },
       this.scene
     );
 
     // Color based on current width index
-    const color = WIDTH_COLORS[this.targetWidthIndex];
+    const color = getBeamColor(this.sim.targetWidthIndex);
     const material = new StandardMaterial("targetZoneMaterial", this.scene);
-    material.diffuseColor = new Color3(color.r, color.g, color.b);
-    material.emissiveColor = new Color3(color.r * 0.5, color.g * 0.5, color.b * 0.5);
+    material.diffuseColor = color;
+    material.emissiveColor = color.scale(0.5);
     material.alpha = 0.7;
     material.backFaceCulling = false;
     mesh.material = material;
 
-    mesh.position = new Vector3(0, HEIGHT_OFFSET, 0);
+    mesh.position = new Vector3(this.sim.targetX, HEIGHT_OFFSET, 0);
     mesh.rotation.x = Math.PI / 2; // Rotate to lie flat
+
+    // Edge in the mode's dash pattern, matching its tiles and legend swatch
+    const halfWidth = this.targetWidth / 2;
+    const halfDepth = TARGET_DEPTH / 2;
+    const corners = [
+      new Vector3(-halfWidth, -halfDepth, 0),
+      new Vector3(halfWidth, -halfDepth, 0),
+      new Vector3(halfWidth, halfDepth, 0),
+      new Vector3(-halfWidth, halfDepth, 0),
+    ];
+    const edge = createBeamOutline("targetZoneEdge", corners, this.sim.targetWidthIndex, this.scene);
+    edge.color = Color3.White();
+    edge.parent = mesh;
     return mesh;
   }
 
@@ -137,14 +223,14 @@ export class Game {
       points: leftPoints,
       updatable: true,
     }, this.scene);
-    leftLine.color = new Color3(1, 1, 1);
+    leftLine.color = BEAM_LINE_COLOR;
     leftLine.alpha = 0.1;
 
     const rightLine = MeshBuilder.CreateLines("beamRight", {
       points: rightPoints,
       updatable: true,
     }, this.scene);
-    rightLine.color = new Color3(1, 1, 1);
+    rightLine.color = BEAM_LINE_COLOR;
     rightLine.alpha = 0.1;
 
     return { leftLine, rightLine, leftPoints, rightPoints };
@@ -173,96 +259,158 @@ export class Game {
   update() {
     const deltaTime = this.engine.getDeltaTime() / 1000; // Convert ms to seconds
 
+    // The imaging hum follows whether the radar is actually collecting
+    if (this.audio) {
+      this.audio.setHum(this.isInPlay() && !this.pauseState && this.sim.isImaging());
+    }
+
+    if (this.pauseState) {
+      this.updateCountdown(deltaTime);
+      return;
+    }
+
+    // Toasts keep playing on the game over screen
+    this.updateToast(deltaTime);
+
     // Rotate the Earth texture even when paused/game over (for menu ambiance)
-    if (this.earthTexture) {
+    if (this.earthTexture && !this.orbitalMode) {
       this.earthTexture.uOffset += EARTH_TEXTURE_ROTATE_SPEED * deltaTime;
     }
 
-    this.ground.rotation.x += this.angularVelocity * deltaTime;
+    if (this.sim.gameOver || this.paused) {
+      this.ground.rotation.x += this.sim.angularVelocity * deltaTime;
+      this.updateOrbit();
+      return;
+    }
 
-    if (this.gameOver || this.paused) return;
+    this.sim.advance(deltaTime);
+    if (!this.sim.gameOver) this.achievements.update();
+    this.updateOrbit();
+    this.updateGauges();
+    this.updateTimer();
+    this.updateBeamSwitchIndicator();
 
+    // Update flash animations
+    this.updateFlashes(deltaTime);
+  }
 
-    // Spawn new tiles
-    const newTile = this.spawner.update(deltaTime, this.scene, this.ground);
-    if (newTile) {
-      this.tiles.push(newTile);
-    }
+  // Beam lines turn orange and brighten as a beam switch completes
+  updateBeamSwitchIndicator() {
+    const switching = this.sim.isSwitchingBeam();
+    if (!switching && !this.beamLines.switching) return;
+    this.beamLines.switching = switching;
 
-    // Update trail spawn position if currently spawning
-    if (this.isHitting) {
-      this.trailSpawner.updateSpawnPosition(this.targetZone.position.x, this.targetWidthIndex);
+    const progress = switching ? 1 - this.sim.beamSwitchRemaining / this.sim.agility.beamSwitchDelay : 0;
+    for (const line of [this.beamLines.leftLine, this.beamLines.rightLine]) {
+      line.color = switching ? BEAM_SWITCHING_COLOR : BEAM_LINE_COLOR;
+      line.alpha = switching ? 0.3 + 0.5 * progress : 0.1;
     }
+  }
 
-    // Spawn trails based on rotation (fills gaps regardless of frame rate)
-    this.trailSpawner.spawnTrails(this.ground.rotation.x, this.scene, this.ground);
+  isInPlay() {
+    return !this.paused && !this.sim.gameOver;
+  }
 
-    // Update trails (removes old ones, highlights overlapping with tiles, adds coverage)
-    this.trailSpawner.update(deltaTime, this.angularVelocity, this.tiles);
+  isPausedInGame() {
+    return this.pauseState !== null;
+  }
 
-    // Update flash animations
-    this.updateFlashes(deltaTime);
+  // Freeze the run. Imaging stops so nothing is collected (or drained) across the pause.
+  pause() {
+    if (!this.isInPlay() || this.pauseState === "paused") return false;
+    if (this.sim.isHitting && !this.sim.isReplaying()) {
+      this.sim.applyInput(INPUT_HIT_END);
+    }
+    this.pauseState = "paused";
+    this.countdownElement.classList.add("hidden");
+    return true;
+  }
 
-    // Check tile positions and coverage
-    for (let i = this.tiles.length - 1; i >= 0; i--) {
-      const tile = this.tiles[i];
-
-      // Update tile age
-      tile.updateAge(deltaTime);
-
-      // Check if tile just passed the target zone
-      if (tile.checkPassedTarget()) {
-        const percent = tile.getCoveragePercent();
-        this.showPercentageFlash(tile, percent);
-        this.score += Math.round(percent);
-        this.updateScore();
-
-        if (percent < 50) {
-          this.lives--;
-          this.updateLives();
-          if (this.lives <= 0) {
-            this.triggerGameOver();
-          }
-        }
-      }
+  // Resume after a short countdown
+  resume() {
+    if (this.pauseState !== "paused") return;
+    this.pauseState = "countdown";
+    this.countdownRemaining = RESUME_COUNTDOWN;
+    this.countdownElement.textContent = RESUME_COUNTDOWN;
+    this.countdownElement.classList.remove("hidden");
+  }
 
-      // Remove tiles after they've rotated 30 degrees (based on age and rotation rate)
-      const rotationAngleDegrees = (tile.age * this.angularVelocity * 180) / Math.PI;
-      if (rotationAngleDegrees > 30) {
-        tile.dispose();
-        this.tiles.splice(i, 1);
-      }
+  updateCountdown(deltaTime) {
+    if (this.pauseState !== "countdown") return;
+    this.countdownRemaining -= deltaTime;
+    if (this.countdownRemaining <= 0) {
+      this.pauseState = null;
+      this.countdownElement.classList.add("hidden");
+      return;
     }
+    const text = String(Math.ceil(this.countdownRemaining));
+    if (this.countdownElement.textContent !== text) {
+      this.countdownElement.textContent = text;
+    }
+  }
+
+  // Modes with no lives only end when the player says so
+  canEndRun() {
+    return this.sim.rules.lives === null && !this.sim.isReplaying();
+  }
+
+  // Finish the run from the pause menu. Recorded as an input so the replay ends here too.
+  endRun() {
+    if (this.pauseState !== "paused" || !this.canEndRun()) return;
+    this.pauseState = null;
+    this.sim.applyInput(INPUT_END);
   }
 
+  // Abandon the current run and go back to the start menu backdrop
+  quitToMenu() {
+    this.restart();
+    this.setPaused(true);
+    this.setTargetVisible(false);
+    this.hudElement.classList.add("hidden");
+  }
+
+  // Player input entry points - ignored while a replay is driving the game or while paused
   moveTargetZone(x) {
-    // Move target zone horizontally based on mouse position
-    // Clamp X position to reasonable bounds
-    this.targetZone.position.x = Math.max(-3, Math.min(3, x));
-    this.updateBeamLines();
+    if (this.sim.isReplaying() || this.pauseState) return;
+    this.sim.applyInput(INPUT_MOVE, x);
   }
 
   onHitStart() {
-    this.isHitting = true;
-    // Start trail spawning at current position
-    this.trailSpawner.startSpawning(this.targetZone.position.x, this.targetWidthIndex, this.ground.rotation.x);
-    // Brighten target zone color while hitting (same hue, more intense)
-    const color = WIDTH_COLORS[this.targetWidthIndex];
-    this.targetZone.material.diffuseColor = new Color3(color.r, color.g, color.b);
-    this.targetZone.material.emissiveColor = new Color3(color.r, color.g, color.b);
+    if (this.sim.isReplaying() || this.pauseState) return;
+    this.sim.applyInput(INPUT_HIT_START);
   }
 
   onHitEnd() {
-    this.isHitting = false;
-    // Stop trail spawning
-    this.trailSpawner.stopSpawning();
-    // Reset target zone to its width color
-    const color = WIDTH_COLORS[this.targetWidthIndex];
-    this.targetZone.material.diffuseColor = new Color3(color.r, color.g, color.b);
-    this.targetZone.material.emissiveColor = new Color3(color.r * 0.5, color.g * 0.5, color.b * 0.5);
+    if (this.sim.isReplaying()) return;
+    this.sim.applyInput(INPUT_HIT_END);
   }
 
-  showPercentageFlash(tile, percent) {
+  setTargetWidthIndex(index) {
+    if (this.sim.isReplaying() || this.pauseState) return;
+    this.sim.applyInput(INPUT_WIDTH, index);
+  }
+
+  // Reflect the current beam state in the target zone colour (brighter while imaging)
+  updateTargetColor() {
+    const color = getBeamColor(this.sim.targetWidthIndex);
+    const intensity = this.sim.isImaging() ? 1 : 0.5;
+    this.targetZone.material.diffuseColor = color;
+    this.targetZone.material.emissiveColor = color.scale(intensity);
+  }
+
+  // Recolour everything already on screen after setPalette; new meshes pick it up themselves
+  applyPalette() {
+    for (const tile of this.sim.tiles) {
+      tile.mesh.color = getBeamColor(tile.widthIndex);
+    }
+    applyTrailPalette();
+    this.updateTargetColor();
+    this.legendItems.forEach((item, i) => {
+      item.querySelector(".color-box").style.borderColor = getBeamCssColor(i);
+    });
+  }
+
+  showPercentageFlash(tile, percent, lostLife) {
     const tilePos = tile.mesh.getAbsolutePosition();
     const screenPos = Vector3.Project(
       tilePos,
@@ -275,15 +423,16 @@ export class Game {
 
     // Get TextBlock from pool instead of creating new one
     const textBlock = this.flashPool.find(t => !t.isVisible) || this.flashPool[0];
-    textBlock.text = `${Math.round(percent)}%`;
-    textBlock.color = percent >= 80 ? "lime" : percent >= 50 ? "yellow" : "red";
+    const percentText = formatNumber(Math.round(percent) / 100, { style: "percent" });
+    textBlock.text = tile.geo ? `${percentText}\n${formatLatLon(tile.geo)}` : percentText;
+    textBlock.color = lostLife ? "red" : percent >= 80 ? "lime" : "yellow";
     textBlock.left = left;
     textBlock.top = top;
     textBlock.alpha = 1;
     textBlock.isVisible = true;
     this.activeFlashes.push({ textBlock, age: 0, duration: 1.0, isPooled: true });
 
-    if (percent < 50) {
+    if (lostLife) {
       // Get loss text from pool
       const lossText = this.lossTextPool.find(t => !t.isVisible) || this.lossTextPool[0];
       lossText.left = left;
@@ -294,6 +443,87 @@ export class Game {
     }
   }
 
+  showResourceAlert(event) {
+    if (event === "recorderFull") {
+      this.alertText.text = t("hud.recorderFull");
+      this.alertText.color = "#ff4444";
+    } else {
+      this.alertText.text = t("hud.batteryFlat");
+      this.alertText.color = "#ffaa33";
+    }
+    this.alertText.alpha = 1;
+    this.alertText.isVisible = true;
+    this.activeFlashes = this.activeFlashes.filter((flash) => flash.textBlock !== this.alertText);
+    this.activeFlashes.push({ textBlock: this.alertText, age: 0, duration: 2.0, isPooled: true });
+  }
+
+  createToast() {
+    const container = new Rectangle("achievementToast");
+    container.width = "420px";
+    container.height = "70px";
+    container.cornerRadius = 10;
+    container.thickness = 2;
+    container.color = "#ffcc00";
+    container.background = "rgba(26, 26, 46, 0.9)";
+    container.verticalAlignment = Control.VERTICAL_ALIGNMENT_TOP;
+    container.top = "90px";
+    container.isVisible = false;
+
+    const text = new TextBlock();
+    text.color = "white";
+    text.fontSize = 20;
+    text.textWrapping = true;
+    container.addControl(text);
+    this.guiTexture.addControl(container);
+    return { container, text, age: 0 };
+  }
+
+  updateToast(deltaTime) {
+    const toast = this.toast;
+    if (!toast.container.isVisible) {
+      const achievement = this.toastQueue.shift();
+      if (!achievement) return;
+      toast.text.text = `${t("achievements.unlocked")}\n${t(`achievement.${achievement.id}.name`)}`;
+      toast.container.alpha = 1;
+      toast.container.isVisible = true;
+      toast.age = 0;
+      return;
+    }
+
+    toast.age += deltaTime;
+    toast.container.alpha = Math.min(1, (TOAST_DURATION - toast.age) / TOAST_FADE);
+    if (toast.age >= TOAST_DURATION) toast.container.isVisible = false;
+  }
+
+  // Shade the parts of a passed tile that were never imaged
+  showMissedRegions(tile) {
+    const regions = tile.getMissedRegions();
+    if (regions.length === 0) return;
+
+    if (!this.missedMaterial) {
+      this.missedMaterial = new StandardMaterial("missedRegionMaterial", this.scene);
+      this.missedMaterial.diffuseColor = new Color3(1, 0.2, 0.2);
+      this.missedMaterial.emissiveColor = new Color3(0.6, 0.1, 0.1);
+      this.missedMaterial.alpha = 0.35;
+      this.missedMaterial.backFaceCulling = false;
+      this.missedMaterial.disableDepthWrite = true;
+    }
+
+    regions
+      .sort((a, b) => b.width * b.depth - a.width * a.depth)
+      .slice(0, MAX_MISSED_OVERLAYS)
+      .forEach((region) => {
+        const overlay = MeshBuilder.CreatePlane(
+          "missedRegion",
+          { width: region.width, height: region.depth },
+          this.scene
+        );
+        overlay.material = this.missedMaterial;
+        overlay.parent = tile.mesh; // Disposed along with the tile
+        overlay.position = new Vector3(region.x, region.y, 0);
+      });
+  }
+
   updateFlashes(deltaTime) {
     for (let i = this.activeFlashes.length - 1; i >= 0; i--) {
       const flash = this.activeFlashes[i];
@@ -310,59 +540,107 @@ export class Game {
   }
 
   updateScore() {
-    this.scoreElement.textContent = `Score: ${this.score}`;
-    if (this.score > this.highScore) {
-      this.highScore = this.score;
+    this.scoreElement.textContent = t("hud.score", { score: formatNumber(this.sim.score) });
+    if (this.sim.score > this.highScore && !this.sim.isReplaying()) {
+      this.highScore = this.sim.score;
+    }
+  }
+
+  updateGauges() {
+    const { spacecraft } = this.sim;
+    const recorder = spacecraft.getRecorderFraction();
+    this.recorderGaugeElement.style.width = `${recorder * 100}%`;
+    this.recorderGaugeElement.classList.toggle("warning", recorder > 0.8);
+    this.batteryGaugeElement.style.width = `${spacecraft.getBatteryFraction() * 100}%`;
+    this.batteryGaugeElement.classList.toggle("warning", !spacecraft.canImage());
+
+    const pending = spacecraft.getPendingPoints();
+    const pendingText = pending > 0 ? t("hud.onboard", { points: formatNumber(pending) }) : "";
+    if (this.pendingElement.textContent !== pendingText) {
+      this.pendingElement.textContent = pendingText;
     }
   }
 
+  updateDownlinkStatus(station) {
+    this.downlinkElement.textContent = station ? t("hud.downlink", { station: station.name }) : "";
+    this.downlinkElement.classList.toggle("hidden", !station);
+  }
+
   updateLives() {
-    this.livesElement.textContent = `Data Loss Reports: ${3 - this.lives}/3`;
+    const { lives } = this.sim.rules;
+    this.livesElement.textContent =
+      lives === null
+        ? t("hud.losses", { lost: this.sim.dataLosses })
+        : t("hud.lives", { lost: this.sim.dataLosses, total: lives });
+  }
+
+  // Countdown for timed modes
+  updateTimer() {
+    const remaining = this.sim.getTimeRemaining();
+    this.timerElement.classList.toggle("hidden", remaining === null);
+    if (remaining === null) return;
+    const seconds = Math.ceil(remaining);
+    const text = t("hud.time", { time: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}` });
+    if (this.timerElement.textContent !== text) {
+      this.timerElement.textContent = text;
+    }
+    this.timerElement.classList.toggle("warning", remaining <= 10);
   }
 
-  triggerGameOver() {
-    this.gameOver = true;
-    this.finalScoreElement.textContent = this.score;
-    this.finalHighScoreElement.textContent = this.highScore;
+  showGameOver(replay, lostPoints, lostData) {
+    this.finalScoreElement.textContent = formatNumber(this.sim.score);
+    this.finalLostElement.textContent = t("gameOver.lostValue", {
+      points: formatNumber(lostPoints),
+      data: formatNumber(lostData / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+    });
+    this.finalLostElement.parentElement.classList.toggle("hidden", lostPoints === 0 && lostData === 0);
+    this.finalHighScoreElement.textContent = formatNumber(this.highScore);
+    this.finalSeedElement.textContent = this.sim.getSeed();
     this.setTargetVisible(false);
 
+    // A finished replay returns to the game over panel without prompting for a score
+    if (replay) {
+      this.replayBadgeElement.classList.add("hidden");
+      this.gameOverElement.classList.remove("hidden");
+      return;
+    }
+
     if (this.onGameOver) {
-      this.onGameOver(this.score);
+      this.onGameOver(this.sim.score);
     } else {
       this.gameOverElement.classList.remove("hidden");
     }
   }
 
-  restart() {
-    // Remove all tiles from scene
-    this.tiles.forEach((tile) => {
-      tile.dispose();
-    });
-    this.tiles = [];
+  restart(seed = this.fixedSeed ?? randomSeed()) {
+    this.sim.setDifficulty(this.difficulty);
+    this.sim.setMode(this.mode);
+    this.sim.reset(seed);
+    this.achievements.startRun();
 
-    // Clear any active flashes
+    // Clear any active flashes (pooled TextBlocks are hidden, not removed)
     for (const flash of this.activeFlashes) {
-      this.guiTexture.removeControl(flash.textBlock);
+      flash.textBlock.isVisible = false;
     }
     this.activeFlashes = [];
 
-    // Reset game state
-    this.score = 0;
-    this.lives = 3;
-    this.gameOver = false;
-    this.isHitting = false;
+    // Reset presentation state
     this.paused = false;
+    this.pauseState = null;
+    this.countdownElement.classList.add("hidden");
+    this.replayBadgeElement.classList.add("hidden");
     this.updateScore();
     this.updateLives();
+    this.updateTimer();
+    this.updateGauges();
+    this.updateDownlinkStatus(null);
     this.gameOverElement.classList.add("hidden");
     this.hudElement.classList.remove("hidden");
 
     // Reset target zone width, position and color
-    this.targetWidthIndex = 0;
-    this.targetWidth = TILE_WIDTHS[0];
+    this.targetWidth = BEAM_MODES[this.sim.targetWidthIndex].swathWidth;
     this.targetZone.dispose();
     this.targetZone = this.createTargetZone();
-    this.targetZone.position.x = 0;
 
     // Recreate beam lines
     this.beamLines.leftLine.dispose();
@@ -373,30 +651,18 @@ export class Game {
     this.setTargetVisible(true);
 
     this.updateLegendHighlight();
-
-    // Reset sphere rotation
-    this.ground.rotation.x = 0;
-
-    // Reset spawners
-    this.spawner.reset();
-    this.trailSpawner.reset();
   }
 
   getTargetZone() {
     return this.targetZone;
   }
 
-  setTargetWidthIndex(index) {
-    if (index < 0 || index >= TILE_WIDTHS.length) return;
-    if (this.isHitting) return; // Cannot switch beams while hitting
-    this.targetWidthIndex = index;
-    this.targetWidth = TILE_WIDTHS[index];
+  updateTargetWidth() {
+    this.targetWidth = BEAM_MODES[this.sim.targetWidthIndex].swathWidth;
 
     // Recreate target zone mesh with new width
-    const oldX = this.targetZone.position.x;
     this.targetZone.dispose();
     this.targetZone = this.createTargetZone();
-    this.targetZone.position.x = oldX;
 
     // Update beam lines for new width
     this.updateBeamLines();
@@ -405,14 +671,101 @@ export class Game {
     this.updateLegendHighlight();
   }
 
+  // One legend row per beam mode: key, outline swatch, name and resolution
+  createLegend() {
+    const legend = document.getElementById("legend");
+    return BEAM_MODES.map((mode, index) => {
+      const item = document.createElement("div");
+      item.className = "legend-item";
+
+      const key = document.createElement("span");
+      key.className = "key";
+      key.textContent = mode.key.label;
+      const colorBox = document.createElement("span");
+      colorBox.className = "color-box";
+      colorBox.style.borderColor = getBeamCssColor(index);
+      colorBox.style.borderStyle = mode.outline;
+      const name = document.createElement("span");
+      name.className = "name";
+
+      item.append(key, colorBox, name);
+      item.addEventListener("click", () => this.setTargetWidthIndex(index));
+      legend.appendChild(item);
+      return item;
+    });
+  }
+
+  // Refresh text built in code after the language changes; tagged markup is handled by i18n.js
+  applyLanguage() {
+    BEAM_MODES.forEach((mode, i) => {
+      const params = { mode: t(`beamMode.${mode.name}`), resolution: mode.resolution, dataRate: mode.dataRate };
+      this.legendItems[i].title = t("legend.details", params);
+      this.legendItems[i].querySelector(".name").textContent = t("legend.item", params);
+    });
+    for (const lossText of this.lossTextPool) lossText.text = t("hud.dataLoss");
+    this.updateScore();
+    this.updateLives();
+  }
+
+  // Show the active key map on the legend; labels are indexed by beam mode
+  setBeamKeyLabels(labels) {
+    this.legendItems.forEach((item, i) => {
+      item.querySelector(".key").textContent = labels[i];
+    });
+  }
+
   updateLegendHighlight() {
     this.legendItems.forEach((item, i) => {
-      item.classList.toggle('active', i === this.targetWidthIndex);
+      item.classList.toggle('active', i === this.sim.targetWidthIndex);
     });
   }
 
+  // Follow the real RADARSAT-2 orbit (SGP4 from a bundled TLE) instead of the stylised spin
+  setOrbitalMode(enabled) {
+    if (enabled && !this.orbitalMode) {
+      this.orbitalMode = new OrbitalMode(this.earth);
+      this.earthTexture.uOffset = 0;
+      this.updateOrbit();
+    } else if (!enabled && this.orbitalMode) {
+      this.orbitalMode.dispose();
+      this.orbitalMode = null;
+    }
+    this.orbitInfoElement.classList.toggle("hidden", !this.orbitalMode);
+  }
+
+  isOrbitalMode() {
+    return this.orbitalMode !== null;
+  }
+
+  updateOrbit() {
+    if (!this.orbitalMode) return;
+    this.orbitalMode.update(this.ground.rotation.x);
+
+    const point = this.orbitalMode.getSubSatellitePoint();
+    if (!point) return;
+    const time = formatDate(this.orbitalMode.getDate(), {
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+      timeZone: "UTC",
+    });
+    const text = t("hud.orbit", { position: formatLatLon(point), time });
+    if (this.orbitInfoElement.textContent !== text) {
+      this.orbitInfoElement.textContent = text;
+    }
+  }
+
+  // Where the player is aiming; the target zone slews towards it
+  getAimX() {
+    return this.sim.aimX;
+  }
+
   getTargetWidthIndex() {
-    return this.targetWidthIndex;
+    return this.sim.targetWidthIndex;
+  }
+
+  getScore() {
+    return this.sim.score;
   }
 
   setPaused(paused) {
@@ -425,8 +778,65 @@ export class Game {
     this.beamLines.rightLine.setEnabled(visible);
   }
 
-  startGame() {
-    this.spawner.syncToRotation(this.ground.rotation.x);
+  getSeed() {
+    return this.sim.getSeed();
+  }
+
+  setAudio(audio) {
+    this.audio = audio;
+  }
+
+  setDifficulty(name) {
+    this.difficulty = name;
+  }
+
+  getDifficulty() {
+    return this.difficulty;
+  }
+
+  setMode(name) {
+    this.mode = name;
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  startGame(seed = null) {
+    this.fixedSeed = seed;
+    this.sim.setDifficulty(this.difficulty);
+    this.sim.setMode(this.mode);
+    this.sim.start(seed ?? randomSeed());
+    this.achievements.startRun();
+    this.updateLives();
+    this.updateTimer();
     this.setPaused(false);
   }
+
+  getLastReplay() {
+    return this.sim.getLastReplay();
+  }
+
+  getRunStats() {
+    return this.sim.getRunStats();
+  }
+
+  // Seed the session high score from saved history so it survives a reload; reseeded when the
+  // mode changes, since each mode keeps its own
+  setHighScore(score) {
+    this.highScore = score;
+  }
+
+  isReplaying() {
+    return this.sim.isReplaying();
+  }
+
+  startReplay(replay) {
+    this.restart(replay.seed);
+    this.sim.startReplay(replay);
+    // The replay's own mode decides the lives and timer shown
+    this.updateLives();
+    this.updateTimer();
+    this.replayBadgeElement.classList.remove("hidden");
+  }
 }
@@ -0,0 +1,50 @@
+// Rules per game mode. lives is the number of data losses that end a run (null: unlimited);
+// an acquisition below passThreshold percent coverage is a data loss. A timeLimit (seconds)
+// ends the run when it runs out. scoreOnPass credits each acquisition's coverage as soon as it
+// passes instead of when its data is downlinked. pacing overrides TileSpawner intervals.
+// The leaderboard refuses scores above maxScore (null: no cap), and the verifier refuses
+// replays longer than maxDuration seconds rather than simulating them.
+export const GAME_MODES = {
+  endless: {
+    lives: 3,
+    passThreshold: 50,
+    timeLimit: null,
+    scoreOnPass: false,
+    pacing: {},
+    maxScore: 1000000,
+    maxDuration: 4 * 3600,
+  },
+  timeAttack: {
+    lives: 3,
+    passThreshold: 50,
+    timeLimit: 180,
+    scoreOnPass: true,
+    pacing: {},
+    maxScore: 50000,
+    maxDuration: 180,
+  },
+  zen: {
+    lives: null,
+    passThreshold: 50,
+    timeLimit: null,
+    scoreOnPass: false,
+    pacing: { startInterval: 7, minInterval: 2.5, restInterval: 4 },
+    maxScore: null,
+    maxDuration: 24 * 3600,
+  },
+  hardcore: {
+    lives: 1,
+    passThreshold: 75,
+    timeLimit: null,
+    scoreOnPass: false,
+    pacing: {},
+    maxScore: 1000000,
+    maxDuration: 4 * 3600,
+  },
+};
+
+export const DEFAULT_GAME_MODE = 'endless';
+
+export function isGameMode(name) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, name);
+}
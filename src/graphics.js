@@ -0,0 +1,65 @@
+import { loadSetting, saveSetting } from './storage.js';
+
+// Rendering cost knobs. hardwareScaling renders at 1/level of the canvas resolution;
+// antialias is fixed when the engine is created, so it only changes on the next load.
+export const GRAPHICS_PRESETS = {
+  low: { starCount: 400, sphereSegments: 24, glow: false, atmosphereLayers: 0, hardwareScaling: 1.5, antialias: false },
+  medium: { starCount: 1000, sphereSegments: 40, glow: false, atmosphereLayers: 1, hardwareScaling: 1.25, antialias: true },
+  high: { starCount: 2000, sphereSegments: 64, glow: true, atmosphereLayers: 2, hardwareScaling: 1, antialias: true },
+};
+
+// "auto" measures frame time on startup and picks a preset; "custom" uses the custom values
+export const GRAPHICS_MODES = ['auto', 'low', 'medium', 'high', 'custom'];
+
+const DETECT_SECONDS = 3; // Frames measured before auto-detect decides
+const DETECT_SKIP_FRAMES = 10; // Ignore the first frames while shaders compile
+
+export function loadGraphicsSettings() {
+  const saved = loadSetting('graphics', null);
+  const settings = { mode: 'auto', custom: { ...GRAPHICS_PRESETS.high } };
+  if (saved && GRAPHICS_MODES.includes(saved.mode)) settings.mode = saved.mode;
+  if (saved && saved.custom && typeof saved.custom === 'object') {
+    settings.custom = { ...settings.custom, ...saved.custom };
+  }
+  return settings;
+}
+
+export function saveGraphicsSettings(settings) {
+  saveSetting('graphics', settings);
+}
+
+// Quality values for a mode; auto falls back to high until detection has run
+export function resolveGraphics(settings, detectedPreset = 'high') {
+  if (settings.mode === 'custom') return settings.custom;
+  const preset = settings.mode === 'auto' ? detectedPreset : settings.mode;
+  return GRAPHICS_PRESETS[preset];
+}
+
+// Average the frame time over the first few seconds and pick the preset the machine can hold
+export function detectGraphicsPreset(engine) {
+  return new Promise((resolve) => {
+    let frames = 0;
+    let elapsed = 0;
+    const observer = engine.onEndFrameObservable.add(() => {
+      frames++;
+      if (frames <= DETECT_SKIP_FRAMES) return;
+      elapsed += engine.getDeltaTime() / 1000;
+      if (elapsed < DETECT_SECONDS) return;
+
+      engine.onEndFrameObservable.remove(observer);
+      const frameTime = elapsed / (frames - DETECT_SKIP_FRAMES);
+      if (frameTime > 1 / 30) resolve('low');
+      else if (frameTime > 1 / 50) resolve('medium');
+      else resolve('high');
+    });
+  });
+}
+
+// Apply quality values to a live scene (see createScene's `environment`)
+export function applyGraphics(engine, environment, quality) {
+  engine.setHardwareScalingLevel(quality.hardwareScaling);
+  environment.setSphereSegments(quality.sphereSegments);
+  environment.setStarCount(quality.starCount);
+  environment.glowLayer.isEnabled = quality.glow;
+  environment.atmosphereLayers.forEach((mesh, i) => mesh.setEnabled(i < quality.atmosphereLayers));
+}
@@ -0,0 +1,74 @@
+import { resolveGraphics } from './graphics.js';
+import { t, formatNumber } from './i18n.js';
+
+// Form fields for each quality value: element id, value key and how to read/show it
+const FIELDS = [
+  { id: 'starCount', type: 'range', format: (value) => value },
+  { id: 'sphereSegments', type: 'range', format: (value) => value },
+  { id: 'atmosphereLayers', type: 'range', format: (value) => value },
+  { id: 'hardwareScaling', type: 'range', format: (value) => formatNumber(1 / value, { style: 'percent' }) },
+  { id: 'glow', type: 'checkbox' },
+  { id: 'antialias', type: 'checkbox' },
+];
+
+// Graphics section of the settings panel. Picking a preset fills the fields with its values;
+// editing a field switches to Custom, starting from whatever was showing.
+export class GraphicsPanel {
+  constructor(settings, onChange) {
+    this.settings = settings;
+    this.onChange = onChange;
+    this.detectedPreset = null;
+    this.modeSelect = document.getElementById('graphicsMode');
+    this.detectedElement = document.getElementById('graphicsDetected');
+
+    this.modeSelect.value = settings.mode;
+    this.modeSelect.addEventListener('change', () => {
+      this.settings.mode = this.modeSelect.value;
+      this.refresh();
+      this.onChange(this.settings);
+    });
+
+    for (const field of FIELDS) {
+      const input = document.getElementById(field.id);
+      const event = field.type === 'checkbox' ? 'change' : 'input';
+      input.addEventListener(event, () => this.editField(field, input));
+    }
+    this.refresh();
+  }
+
+  // Quality values currently in effect
+  getQuality() {
+    return resolveGraphics(this.settings, this.detectedPreset ?? undefined);
+  }
+
+  setDetectedPreset(preset) {
+    this.detectedPreset = preset;
+    this.refresh();
+  }
+
+  editField(field, input) {
+    if (this.settings.mode !== 'custom') {
+      this.settings.custom = { ...this.getQuality() };
+      this.settings.mode = 'custom';
+      this.modeSelect.value = 'custom';
+    }
+    this.settings.custom[field.id] = field.type === 'checkbox' ? input.checked : parseFloat(input.value);
+    this.refresh();
+    this.onChange(this.settings);
+  }
+
+  refresh() {
+    const quality = this.getQuality();
+    for (const field of FIELDS) {
+      const input = document.getElementById(field.id);
+      if (field.type === 'checkbox') {
+        input.checked = quality[field.id];
+      } else {
+        input.value = quality[field.id];
+        document.getElementById(`${field.id}Value`).textContent = field.format(quality[field.id]);
+      }
+    }
+    this.detectedElement.textContent =
+      this.settings.mode === 'auto' && this.detectedPreset ? t('graphics.detected', { preset: t(`graphics.${this.detectedPreset}`) }) : '';
+  }
+}
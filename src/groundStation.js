@@ -0,0 +1,140 @@
+import {
+  MeshBuilder,
+  StandardMaterial,
+  Color3,
+  Vector3,
+} from "@babylonjs/core";
+import { SPHERE_RADIUS, HEIGHT_OFFSET, SATELLITE_POS } from "./config.js";
+
+// Real RADARSAT-2 receiving stations, used to name the markers
+const STATION_NAMES = ["Gatineau", "Prince Albert", "Inuvik", "Tromsø", "Svalbard", "Matera", "Neustrelitz", "Hobart"];
+
+const VISIBILITY_HALF_ANGLE = (60 * Math.PI) / 180; // Cone around nadir in which a station can be reached
+const MAX_CROSS_TRACK = 10; // Stations are placed up to this far either side of the ground track
+const MARKER_RADIUS = 0.4;
+
+// Radius of the cone's footprint on the surface, for drawing a station's coverage ring
+export const VISIBILITY_RADIUS = (SATELLITE_POS.y - HEIGHT_OFFSET) * Math.tan(VISIBILITY_HALF_ANGLE);
+
+const COLOR_IDLE = new Color3(0.3, 0.8, 1);
+const COLOR_ACTIVE = new Color3(1, 1, 1);
+
+// Shared materials (created once, reused by all stations)
+let sharedIdleMaterial = null;
+let sharedActiveMaterial = null;
+
+function getSharedMaterial(scene, active) {
+  if (!sharedIdleMaterial) {
+    sharedIdleMaterial = new StandardMaterial("stationIdleMaterial", scene);
+    sharedIdleMaterial.diffuseColor = COLOR_IDLE;
+    sharedIdleMaterial.emissiveColor = COLOR_IDLE.scale(0.6);
+    sharedIdleMaterial.backFaceCulling = false;
+
+    sharedActiveMaterial = new StandardMaterial("stationActiveMaterial", scene);
+    sharedActiveMaterial.diffuseColor = COLOR_ACTIVE;
+    sharedActiveMaterial.emissiveColor = COLOR_ACTIVE;
+    sharedActiveMaterial.backFaceCulling = false;
+  }
+  return active ? sharedActiveMaterial : sharedIdleMaterial;
+}
+
+// A receiving station fixed to the rotating globe. Placed like a tile, with a ring showing the
+// area from which the satellite can reach it.
+export class GroundStation {
+  constructor(x, spawnTheta, scene, ground, name) {
+    this.x = x;
+    this.name = name;
+    this.ground = ground;
+    this.age = 0;
+    this.inView = false;
+    this.mesh = this.createMesh(x, spawnTheta, scene);
+  }
+
+  createMesh(x, spawnTheta, scene) {
+    const mesh = MeshBuilder.CreateDisc("groundStation", { radius: MARKER_RADIUS, tessellation: 24 }, scene);
+    mesh.material = getSharedMaterial(scene, false);
+
+    // Coverage ring, drawn in the marker's plane so it lies flat on the globe
+    const segments = 64;
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      points.push(new Vector3(Math.cos(angle) * VISIBILITY_RADIUS, Math.sin(angle) * VISIBILITY_RADIUS, 0));
+    }
+    const ring = MeshBuilder.CreateLines("groundStationRing", { points }, scene);
+    ring.color = COLOR_IDLE;
+    ring.alpha = 0.3;
+    ring.parent = mesh;
+
+    const theta = spawnTheta + 120 * Math.PI / 180;
+    const effectiveRadius = Math.sqrt(SPHERE_RADIUS ** 2 - x ** 2) + HEIGHT_OFFSET;
+    mesh.position = new Vector3(x, effectiveRadius * Math.sin(theta), effectiveRadius * Math.cos(theta));
+    mesh.rotation.x = -theta;
+    mesh.parent = this.ground;
+
+    return mesh;
+  }
+
+  // True while the station lies inside the satellite's visibility cone
+  updateVisibility() {
+    const offset = this.mesh.getAbsolutePosition().subtract(SATELLITE_POS);
+    const angleFromNadir = Math.acos(Math.min(1, -offset.y / offset.length()));
+    const inView = angleFromNadir <= VISIBILITY_HALF_ANGLE;
+    if (inView !== this.inView) {
+      this.inView = inView;
+      this.mesh.material = getSharedMaterial(this.mesh.getScene(), inView);
+    }
+    return inView;
+  }
+
+  updateAge(deltaTime) {
+    this.age += deltaTime;
+  }
+
+  dispose() {
+    this.mesh.dispose();
+  }
+}
+
+// Places a station every so often, at a random distance either side of the ground track
+export class GroundStationSpawner {
+  constructor(angularVelocity, rng = Math.random) {
+    this.rng = rng;
+    this.angularVelocity = angularVelocity;
+    this.firstInterval = 8; // Seconds before the first station of a run
+    this.minInterval = 15; // Seconds between stations
+    this.maxInterval = 30;
+    this.reset();
+  }
+
+  nextInterval() {
+    return this.minInterval + this.rng() * (this.maxInterval - this.minInterval);
+  }
+
+  update(deltaTime, scene, ground) {
+    this.timeUntilSpawn -= deltaTime;
+    if (this.timeUntilSpawn > 0) return null;
+
+    const x = (this.rng() * 2 - 1) * MAX_CROSS_TRACK;
+    const name = STATION_NAMES[Math.floor(this.rng() * STATION_NAMES.length)];
+    const station = new GroundStation(x, this.currentSpawnTheta, scene, ground, name);
+
+    const interval = this.nextInterval();
+    this.timeUntilSpawn = interval;
+    this.currentSpawnTheta += this.angularVelocity * interval;
+    return station;
+  }
+
+  setRng(rng) {
+    this.rng = rng;
+  }
+
+  reset() {
+    this.currentSpawnTheta = 0;
+    this.timeUntilSpawn = this.firstInterval;
+  }
+
+  syncToRotation(groundRotationX) {
+    this.currentSpawnTheta = groundRotationX;
+  }
+}
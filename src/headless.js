@@ -0,0 +1,37 @@
+import { NullEngine, Scene, TransformNode } from "@babylonjs/core";
+import { Simulation } from "./simulation.js";
+import { SPHERE_RADIUS } from "./config.js";
+
+// Build a simulation with no canvas, DOM or GUI - for Node scripts and CI
+export function createHeadlessSimulation() {
+  const engine = new NullEngine();
+  const scene = new Scene(engine);
+
+  // Stand-in for the Earth sphere: tiles and trails only need its transform
+  const ground = new TransformNode("ground", scene);
+  ground.position.y = -SPHERE_RADIUS - 0.5;
+
+  return { engine, scene, sim: new Simulation(scene, ground) };
+}
+
+// Run one game to completion. `controller(sim)` is called before every step to apply
+// inputs through sim.applyInput; when a replay is given it drives the run instead.
+export function runHeadlessGame(sim, { seed, controller = null, replay = null, maxTicks = Infinity } = {}) {
+  if (replay) {
+    sim.startReplay(replay);
+  } else {
+    sim.reset(seed);
+  }
+
+  while (!sim.gameOver && sim.tick < maxTicks) {
+    if (controller) controller(sim);
+    sim.runStep();
+  }
+
+  return {
+    seed: sim.getSeed(),
+    score: sim.score,
+    ticks: sim.tick,
+    gameOver: sim.gameOver,
+  };
+}
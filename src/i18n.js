@@ -0,0 +1,76 @@
+import { messages as en } from './locales/en.js';
+import { messages as fr } from './locales/fr.js';
+
+// Message catalogs by language. `locale` drives number and date formatting; `label` is the
+// language's own name for the menu switcher.
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-CA', messages: en },
+  fr: { label: 'Français', locale: 'fr-CA', messages: fr },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+let language = DEFAULT_LANGUAGE;
+const formatters = new Map(); // Intl formatters by locale and options - the HUD formats every frame
+
+export function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// First supported language in the browser's preference list
+export function detectLanguage() {
+  const preferred = typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language];
+  for (const tag of preferred) {
+    const code = String(tag).split('-')[0].toLowerCase();
+    if (isLanguage(code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export function getLanguage() {
+  return language;
+}
+
+// Switch language and re-translate the static page text. Text built in code is refreshed by
+// its owner (see applyLanguage in main.js).
+export function setLanguage(code) {
+  language = isLanguage(code) ? code : DEFAULT_LANGUAGE;
+  document.documentElement.lang = language;
+  translatePage();
+}
+
+// Message for a key with {name} placeholders filled from params. Falls back to English, then
+// to the key itself, so a missing translation shows up without breaking the UI.
+export function t(key, params = {}) {
+  const template = LANGUAGES[language].messages[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function getFormatter(Formatter, options = {}) {
+  const { locale } = LANGUAGES[language];
+  const key = `${Formatter.name}:${locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Formatter(locale, options));
+  return formatters.get(key);
+}
+
+export function formatNumber(value, options) {
+  return getFormatter(Intl.NumberFormat, options).format(value);
+}
+
+export function formatDate(date, options) {
+  return getFormatter(Intl.DateTimeFormat, options).format(date);
+}
+
+// Fill elements tagged in the markup: data-i18n sets the text, data-i18n-placeholder and
+// data-i18n-href set those attributes
+export function translatePage(root = document) {
+  for (const element of root.querySelectorAll('[data-i18n]')) {
+    element.textContent = t(element.dataset.i18n);
+  }
+  for (const element of root.querySelectorAll('[data-i18n-placeholder]')) {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  }
+  for (const element of root.querySelectorAll('[data-i18n-href]')) {
+    element.href = t(element.dataset.i18nHref);
+  }
+}
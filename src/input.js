@@ -1,4 +1,18 @@
 import { Vector3, Plane } from '@babylonjs/core';
+import { BEAM_MODES } from './beamModes.js';
+import { createDefaultKeyBindings, IMAGE_ACTION, beamAction, PAUSE_CODES } from './keyBindings.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { TouchControls } from './touch.js';
+
+// Standard Gamepad API layout
+const PAD_BUTTON_HIT = 0; // A / Cross
+const PAD_BUTTON_PREV_BEAM = 4; // Left shoulder
+const PAD_BUTTON_NEXT_BEAM = 5; // Right shoulder
+const PAD_BUTTON_PAUSE = 9; // Start / Options
+const PAD_LEFT_TRIGGER = 6;
+const PAD_RIGHT_TRIGGER = 7;
+const PAD_AXIS_LEFT_X = 0;
+const PAD_AIM_SPEED = 8; // Units per second at full deflection and sensitivity 1
 
 export class InputHandler {
   constructor(camera, game, scene) {
@@ -6,6 +20,8 @@ export class InputHandler {
     this.game = game;
     this.scene = scene;
     this.spacebarHeld = false;
+    this.keyBindings = createDefaultKeyBindings();
+    this.onPauseToggle = null; // Called for Escape/P and the gamepad's Start button
 
     // Create a plane at the target zone's Z position for raycasting
     const targetZ = this.game.getTargetZone().position.z;
@@ -22,6 +38,16 @@ export class InputHandler {
     // Pre-allocate reusable Vector3 for raycast result
     this._rayResult = new Vector3();
 
+    // Gamepad state - buttons are edge-triggered against the previous poll
+    this.gamepadDeadZone = DEFAULT_SETTINGS.gamepadDeadZone;
+    this.gamepadSensitivity = DEFAULT_SETTINGS.gamepadSensitivity;
+    this.previousButtons = [];
+    this.gamepadHitHeld = false;
+
+    // Touch scheme - one finger drags to aim while on-screen buttons image and switch beams
+    this.touchControls = null;
+    this.aimPointerId = null;
+
     // Bind event handlers
     this.setupInputListeners();
   }
@@ -29,33 +55,51 @@ export class InputHandler {
   setupInputListeners() {
     // Cache mouse position instead of raycasting on every move event
     this.scene.onPointerMove = (evt) => {
+      if (this.isTouchAim(evt) && evt.pointerId !== this.aimPointerId) return;
       this.pendingMouseX = evt.clientX;
       this.pendingMouseY = evt.clientY;
       this.mouseDirty = true;
     };
 
-    this.scene.onPointerDown = () => {
+    this.scene.onPointerDown = (evt) => {
+      if (this.isTouchAim(evt)) {
+        // A touch on the scene only aims; the first finger down keeps the aim
+        if (this.aimPointerId !== null) return;
+        this.aimPointerId = evt.pointerId;
+        this.pendingMouseX = evt.clientX;
+        this.pendingMouseY = evt.clientY;
+        this.mouseDirty = true;
+        return;
+      }
       this.spacebarHeld = true;
       this.game.onHitStart();
     };
 
-    this.scene.onPointerUp = () => {
+    this.scene.onPointerUp = (evt) => {
+      if (this.isTouchAim(evt)) {
+        if (evt.pointerId === this.aimPointerId) this.aimPointerId = null;
+        return;
+      }
       this.spacebarHeld = false;
       this.game.onHitEnd();
     };
 
     window.addEventListener('keydown', (event) => {
-      if (event.code === 'Space' && !this.spacebarHeld) {
+      if (PAUSE_CODES.includes(event.code) && !event.repeat) {
+        if (this.onPauseToggle) this.onPauseToggle();
+        return;
+      }
+      if (event.code === this.keyBindings[IMAGE_ACTION].code && !this.spacebarHeld) {
         event.preventDefault();
         this.spacebarHeld = true;
         this.game.onHitStart();
       }
-      const widthKeys = { KeyA: 0, KeyS: 1, KeyD: 2 };
-      if (event.code in widthKeys) this.game.setTargetWidthIndex(widthKeys[event.code]);
+      const modeIndex = BEAM_MODES.findIndex((_, i) => this.keyBindings[beamAction(i)].code === event.code);
+      if (modeIndex !== -1) this.game.setTargetWidthIndex(modeIndex);
     });
 
     window.addEventListener('keyup', (event) => {
-      if (event.code === 'Space') {
+      if (event.code === this.keyBindings[IMAGE_ACTION].code) {
         event.preventDefault();
         this.spacebarHeld = false;
         this.game.onHitEnd();
@@ -63,8 +107,31 @@ export class InputHandler {
     });
   }
 
+  setKeyBindings(bindings) {
+    this.keyBindings = bindings;
+  }
+
+  enableTouchControls() {
+    if (!this.touchControls) this.touchControls = new TouchControls(this.game);
+  }
+
+  isTouchAim(evt) {
+    return this.touchControls !== null && evt.pointerType === 'touch';
+  }
+
+  setGamepadSettings({ gamepadDeadZone, gamepadSensitivity }) {
+    this.gamepadDeadZone = gamepadDeadZone;
+    this.gamepadSensitivity = gamepadSensitivity;
+  }
+
   // Call this once per frame from the game loop
   update() {
+    this.updateGamepad();
+    this.updateMouse();
+    if (this.touchControls) this.touchControls.update();
+  }
+
+  updateMouse() {
     if (!this.mouseDirty) return;
     this.mouseDirty = false;
 
@@ -77,4 +144,61 @@ export class InputHandler {
       this.game.moveTargetZone(this._rayResult.x);
     }
   }
+
+  // First connected gamepad, if any
+  getGamepad() {
+    if (!navigator.getGamepads) return null;
+    for (const pad of navigator.getGamepads()) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  // Rescale so the dead zone reads as 0 and full travel as 1
+  applyDeadZone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= this.gamepadDeadZone) return 0;
+    return Math.sign(value) * (magnitude - this.gamepadDeadZone) / (1 - this.gamepadDeadZone);
+  }
+
+  updateGamepad() {
+    const pad = this.getGamepad();
+    if (!pad) return;
+
+    const pressed = pad.buttons.map((button) => button.pressed);
+    const justPressed = (index) => pressed[index] && !this.previousButtons[index];
+    const justReleased = (index) => !pressed[index] && this.previousButtons[index];
+    this.previousButtons = pressed;
+
+    if (justPressed(PAD_BUTTON_PAUSE) && this.onPauseToggle) {
+      this.onPauseToggle();
+    }
+
+    // Face button images while held, like the spacebar
+    if (justPressed(PAD_BUTTON_HIT) && !this.spacebarHeld) {
+      this.gamepadHitHeld = true;
+      this.game.onHitStart();
+    } else if (justReleased(PAD_BUTTON_HIT) && this.gamepadHitHeld) {
+      this.gamepadHitHeld = false;
+      this.game.onHitEnd();
+    }
+
+    // Shoulder buttons cycle through the beam modes
+    const modeCount = BEAM_MODES.length;
+    if (justPressed(PAD_BUTTON_PREV_BEAM)) {
+      this.game.setTargetWidthIndex((this.game.getTargetWidthIndex() + modeCount - 1) % modeCount);
+    }
+    if (justPressed(PAD_BUTTON_NEXT_BEAM)) {
+      this.game.setTargetWidthIndex((this.game.getTargetWidthIndex() + 1) % modeCount);
+    }
+
+    // Left stick or the triggers steer the aim point; the stick wins when both are used
+    const stick = this.applyDeadZone(pad.axes[PAD_AXIS_LEFT_X] ?? 0);
+    const triggers = this.applyDeadZone((pad.buttons[PAD_RIGHT_TRIGGER]?.value ?? 0) - (pad.buttons[PAD_LEFT_TRIGGER]?.value ?? 0));
+    const deflection = stick !== 0 ? stick : triggers;
+    if (deflection !== 0) {
+      const deltaTime = this.scene.getEngine().getDeltaTime() / 1000;
+      this.game.moveTargetZone(this.game.getAimX() + deflection * PAD_AIM_SPEED * this.gamepadSensitivity * deltaTime);
+    }
+  }
 }
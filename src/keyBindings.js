@@ -0,0 +1,62 @@
+import { BEAM_MODES } from './beamModes.js';
+import { loadSetting, saveSetting } from './storage.js';
+import { t } from './i18n.js';
+
+// Keyboard bindings by action: "image" plus one "beam<index>" per beam mode. Each binding is
+// the physical KeyboardEvent.code it matches and the label shown for it (what the key
+// printed when it was bound, so AZERTY players see their own letters).
+export const IMAGE_ACTION = 'image';
+
+// Keys that always toggle the pause menu and so can't be bound to an action
+export const PAUSE_CODES = ['Escape', 'KeyP'];
+
+export function beamAction(index) {
+  return `beam${index}`;
+}
+
+export function createDefaultKeyBindings() {
+  const bindings = { [IMAGE_ACTION]: { code: 'Space', label: 'Space' } };
+  BEAM_MODES.forEach((mode, index) => {
+    bindings[beamAction(index)] = { ...mode.key };
+  });
+  return bindings;
+}
+
+// Human-readable name for a binding row in the controls panel
+export function getActionName(action) {
+  if (action === IMAGE_ACTION) return t('controls.image');
+  const mode = BEAM_MODES[parseInt(action.slice(4), 10)];
+  return t('controls.beam', { mode: t(`beamMode.${mode.name}`) });
+}
+
+function isBinding(value) {
+  return value && typeof value.code === 'string' && typeof value.label === 'string';
+}
+
+// Saved bindings over the defaults, so beam modes added later still get their default key
+export function loadKeyBindings() {
+  const bindings = createDefaultKeyBindings();
+  const saved = loadSetting('keyBindings', null);
+  if (saved && typeof saved === 'object') {
+    for (const action of Object.keys(bindings)) {
+      if (isBinding(saved[action])) bindings[action] = { code: saved[action].code, label: saved[action].label };
+    }
+  }
+  return bindings;
+}
+
+export function saveKeyBindings(bindings) {
+  saveSetting('keyBindings', bindings);
+}
+
+// Action other than `action` already bound to `code`, or null
+export function findConflict(bindings, action, code) {
+  return Object.keys(bindings).find((other) => other !== action && bindings[other].code === code) ?? null;
+}
+
+// Label for a freshly pressed key
+export function labelForKeyEvent(event) {
+  if (event.code === 'Space') return 'Space';
+  if (event.key.length === 1) return event.key.toUpperCase();
+  return event.key;
+}
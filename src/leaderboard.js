@@ -1,88 +1,185 @@
+import { FirebaseLeaderboard } from './firebaseLeaderboard.js';
+import { LocalLeaderboard } from './localLeaderboard.js';
+import { RestLeaderboard } from './restLeaderboard.js';
+import { SubmissionQueue, createSubmissionId } from './submissionQueue.js';
+import { windowStart } from './leaderboardQuery.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from './gameModes.js';
+import { t } from './i18n.js';
+
 const LOCAL_NAME_KEY = 'radarsat2_playerName';
-const MAX_VALID_SCORE = 50000;
 const NAME_REGEX = /^[a-zA-Z0-9 ]{1,12}$/;
 
-class OnlineLeaderboard {
-  constructor(firebaseConfig) {
-    this.config = firebaseConfig;
-    this.db = null;
-    this._available = false;
-    this._initPromise = null;
+// Providers share one interface: init(), submitScore(entry), getTopScores(limit, { mode,
+// since, offset }) with the highest score first, getRank(score, { mode, since }) (1 = top)
+// and getBestScore(name, { mode, since }). Each game mode is its own board. `since` is an ISO
+// date limiting the query to a time window, or null for all time. They throw on failure;
+// Leaderboard decides what to do about it.
+const PROVIDERS = {
+  firebase: (config) => new FirebaseLeaderboard(config.firebase),
+  rest: (config) => new RestLeaderboard(config.rest),
+  local: () => new LocalLeaderboard(),
+};
+
+// Resolves to whether the provider is ready for use
+function initProvider(provider) {
+  return provider.init().then(
+    () => true,
+    (err) => {
+      console.warn(`Leaderboard "${provider.id}" unavailable:`, err);
+      return false;
+    }
+  );
+}
+
+// Front for the configured provider. When an online provider fails, reads switch to the local
+// board until a queued submission gets through again. Submissions always go through a
+// persistent queue and are retried with backoff until the configured provider accepts them.
+class Leaderboard {
+  constructor(provider, local) {
+    this.provider = provider;
+    this.local = local;
+    this.active = provider;
+    this.providerReady = false;
+    this.localReady = initProvider(local);
+    this.ready = (local === provider ? this.localReady : initProvider(provider)).then((ready) => {
+      this.providerReady = ready;
+      if (!ready) this.active = local;
+    });
+
+    this.queue = new SubmissionQueue();
+    this.flushing = null;
+    this.retryTimer = null;
   }
 
-  async init() {
-    if (this._initPromise) return this._initPromise;
-    this._initPromise = this._doInit();
-    return this._initPromise;
+  fallBack(err) {
+    if (this.active === this.local) return;
+    console.warn(`Leaderboard "${this.provider.id}" failed, using local scores:`, err);
+    this.active = this.local;
   }
 
-  async _doInit() {
+  // Run a provider method on the active board, falling back to local if an online board fails
+  async call(method, args, fallbackValue) {
+    await this.ready;
+    if (this.active !== this.local) {
+      try {
+        return await this.active[method](...args);
+      } catch (err) {
+        this.fallBack(err);
+      }
+    }
+    if (!(await this.localReady)) return fallbackValue;
     try {
-      const { initializeApp } = await import('firebase/app');
-      const { getDatabase, ref, push, query, orderByChild, limitToLast, get } =
-        await import('firebase/database');
-
-      const app = initializeApp(this.config);
-      this.db = getDatabase(app);
-      this._ref = ref;
-      this._push = push;
-      this._query = query;
-      this._orderByChild = orderByChild;
-      this._limitToLast = limitToLast;
-      this._get = get;
-      this._available = true;
+      return await this.local[method](...args);
     } catch (err) {
-      console.warn('Online leaderboard unavailable:', err);
-      this._available = false;
+      console.warn(`Local leaderboard ${method} failed:`, err);
+      return fallbackValue;
     }
   }
 
-  isAvailable() {
-    return this._available;
+  // Which board is in use: the configured provider's id, or 'local'
+  getActiveId() {
+    return this.active.id;
   }
 
-  async submitScore(name, score) {
-    if (!this._available) return;
-    if (score < 0 || score > MAX_VALID_SCORE) return;
-    if (!NAME_REGEX.test(name)) return;
+  // True when an online provider was configured but the local board has taken over
+  isFallback() {
+    return this.active === this.local && this.provider !== this.local;
+  }
 
-    try {
-      const scoresRef = this._ref(this.db, 'scores');
-      await this._push(scoresRef, {
-        name: name.trim(),
-        score,
-        date: new Date().toISOString(),
-        v: 1,
-      });
-    } catch (err) {
-      console.warn('Failed to submit score online:', err);
+  // Queue the score for the mode's board and try to send it. The run's replay goes with it so
+  // the verifier (scripts/verify.js) can re-simulate the run. Resolves to { id, pending };
+  // pending entries keep retrying in the background. Throws if the entry is invalid.
+  async submitScore(name, score, replay, mode = DEFAULT_GAME_MODE) {
+    const { maxScore } = GAME_MODES[mode];
+    if (score < 0 || (maxScore !== null && score > maxScore)) {
+      throw new Error(t('leaderboard.scoreRefused'));
     }
+    if (!NAME_REGEX.test(name)) throw new Error(t('leaderboard.invalidName'));
+    const date = new Date().toISOString();
+    const entry = { id: createSubmissionId(), name: name.trim(), score, mode, date, v: 2, replay };
+    this.queue.add(entry);
+    await this.flushQueue();
+    return { id: entry.id, pending: this.isPending(entry.id) };
   }
 
-  async getTopScores(limit = 10) {
-    if (!this._available) return [];
-    try {
+  isPending(id) {
+    return this.queue.getEntries().some((entry) => entry.id === id);
+  }
 
-      const scoresRef = this._ref(this.db, 'scores');
-      const q = this._query(
-        scoresRef,
-        this._orderByChild('score'),
-        this._limitToLast(limit)
-      );
+  // Submissions that haven't reached the leaderboard yet
+  getPendingScores() {
+    return this.queue.getEntries();
+  }
 
-      const snapshot = await this._get(q);
-      const results = [];
-      snapshot.forEach((child) => {
-        results.push(child.val());
-      });
+  // Send every due submission. Passes run one after another, so a caller always gets a pass
+  // that includes whatever it just queued.
+  flushQueue() {
+    const run = (this.flushing ?? Promise.resolve()).then(() => this.sendDue());
+    this.flushing = run;
+    return run.finally(() => {
+      if (this.flushing !== run) return;
+      this.flushing = null;
+      this.scheduleRetry();
+    });
+  }
 
-      return results.reverse(); // highest score first
-    } catch (err) {
-      console.warn('Failed to fetch online scores:', err);
-      return [];
+  // Retry everything now, e.g. when the browser comes back online
+  retryNow() {
+    this.queue.resetBackoff();
+    return this.flushQueue();
+  }
+
+  async sendDue() {
+    await this.ready;
+    const due = this.queue.getDue();
+    if (due.length === 0) return;
+
+    // A provider that failed to start (e.g. offline at load) gets another chance
+    if (!this.providerReady) {
+      this.providerReady = await initProvider(this.provider);
+      if (!this.providerReady) {
+        for (const entry of due) this.queue.markFailed(entry.id);
+        return;
+      }
+    }
+
+    for (const entry of due) {
+      try {
+        await this.provider.submitScore(entry);
+        this.queue.remove(entry.id);
+        this.active = this.provider; // It's reachable again
+      } catch (err) {
+        console.warn('Score submission failed, will retry:', err);
+        this.queue.markFailed(entry.id);
+        this.fallBack(err);
+      }
     }
   }
 
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    const delay = this.queue.getNextDelay();
+    if (delay === null) return;
+    this.retryTimer = setTimeout(() => this.flushQueue(), delay);
+  }
+
+  // One page of a mode's board; window is one of LEADERBOARD_WINDOWS
+  getTopScores(limit = 10, { mode = DEFAULT_GAME_MODE, window = 'allTime', offset = 0 } = {}) {
+    return this.call('getTopScores', [limit, { mode, since: windowStart(window), offset }], []);
+  }
+
+  // Position the score would take on the board, or null if no board can be read
+  getRank(score, { mode = DEFAULT_GAME_MODE, window = 'allTime' } = {}) {
+    return this.call('getRank', [score, { mode, since: windowStart(window) }], null);
+  }
+
+  // The player's best entry in the window and its rank, or null if they have none
+  async getPlayerBest(name, { mode = DEFAULT_GAME_MODE, window = 'allTime' } = {}) {
+    const query = { mode, since: windowStart(window) };
+    const entry = await this.call('getBestScore', [name, query], null);
+    if (!entry) return null;
+    return { entry, rank: await this.call('getRank', [entry.score, query], null) };
+  }
 }
 
 export function getLastPlayerName() {
@@ -101,8 +198,11 @@ export function setLastPlayerName(name) {
   }
 }
 
-export function createLeaderboard(firebaseConfig) {
-  const leaderboard = new OnlineLeaderboard(firebaseConfig);
-  leaderboard.init();
+export function createLeaderboard(config) {
+  const createProvider = PROVIDERS[config.provider] ?? PROVIDERS.local;
+  const provider = createProvider(config);
+  const local = provider instanceof LocalLeaderboard ? provider : new LocalLeaderboard();
+  const leaderboard = new Leaderboard(provider, local);
+  leaderboard.flushQueue(); // Retry anything left over from a previous session
   return leaderboard;
 }
@@ -0,0 +1,11 @@
+import { firebaseConfig } from './firebaseConfig.js';
+
+// Which leaderboard provider the game submits to: 'firebase', 'rest' or 'local'. Online
+// providers fall back to the local (IndexedDB) board whenever they can't be reached.
+export const leaderboardConfig = {
+  provider: 'firebase',
+  firebase: firebaseConfig,
+  rest: {
+    url: '', // e.g. https://scores.example.com/api
+  },
+};
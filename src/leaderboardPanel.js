@@ -0,0 +1,140 @@
+import { getLastPlayerName } from './leaderboard.js';
+import { LEADERBOARD_WINDOWS, windowStart, inWindow, entryMode } from './leaderboardQuery.js';
+import { DEFAULT_GAME_MODE, isGameMode } from './gameModes.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+
+const PAGE_SIZE = 10;
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// Leaderboard screen: a board per game mode with daily/weekly/all-time tabs, paging past the
+// top 10, and a row with the best score and rank of the last name used on this device.
+export class LeaderboardPanel {
+  constructor(leaderboard) {
+    this.leaderboard = leaderboard;
+    this.mode = DEFAULT_GAME_MODE;
+    this.window = 'allTime';
+    this.page = 0;
+    this.highlightId = null; // Submission id of this session's latest score
+    this.renderId = 0; // Drops results from a render that a newer one has overtaken
+
+    this.listElement = document.getElementById('leaderboardList');
+    this.sourceElement = document.getElementById('leaderboardSource');
+    this.playerElement = document.getElementById('leaderboardPlayer');
+    this.pageElement = document.getElementById('leaderboardPage');
+    this.prevButton = document.getElementById('leaderboardPrev');
+    this.nextButton = document.getElementById('leaderboardNext');
+    this.tabs = [...document.querySelectorAll('#leaderboardTabs button')];
+    this.modeTabs = [...document.querySelectorAll('#leaderboardModes button')];
+
+    for (const tab of this.tabs) {
+      tab.addEventListener('click', () => this.setWindow(tab.dataset.window));
+    }
+    for (const tab of this.modeTabs) {
+      tab.addEventListener('click', () => this.setMode(tab.dataset.mode));
+    }
+    this.prevButton.addEventListener('click', () => this.showPage(this.page - 1));
+    this.nextButton.addEventListener('click', () => this.showPage(this.page + 1));
+  }
+
+  setMode(mode) {
+    if (!isGameMode(mode)) return;
+    this.mode = mode;
+    this.page = 0;
+    this.render();
+  }
+
+  setWindow(window) {
+    if (!LEADERBOARD_WINDOWS.includes(window)) return;
+    this.window = window;
+    this.page = 0;
+    this.render();
+  }
+
+  showPage(page) {
+    this.page = Math.max(0, page);
+    this.render();
+  }
+
+  async render() {
+    const renderId = ++this.renderId;
+    for (const tab of this.modeTabs) tab.classList.toggle('active', tab.dataset.mode === this.mode);
+    for (const tab of this.tabs) tab.classList.toggle('active', tab.dataset.window === this.window);
+    this.listElement.innerHTML = `<div class="leaderboard-empty">${escapeHtml(t('leaderboard.loading'))}</div>`;
+    this.prevButton.disabled = true;
+    this.nextButton.disabled = true;
+
+    // One extra row tells whether there is a next page
+    const offset = this.page * PAGE_SIZE;
+    const query = { mode: this.mode, window: this.window };
+    const rows = await this.leaderboard.getTopScores(PAGE_SIZE + 1, { ...query, offset });
+    if (renderId !== this.renderId) return;
+    const board = rows.slice(0, PAGE_SIZE);
+    const ranked = board.map((entry, i) => ({ ...entry, rank: offset + i + 1 }));
+
+    // Queued submissions are listed on the first page until they get through
+    const since = windowStart(this.window);
+    const onBoard = new Set(board.map((entry) => entry.id));
+    const pending =
+      this.page === 0
+        ? this.leaderboard
+            .getPendingScores()
+            .filter((entry) => !onBoard.has(entry.id) && entryMode(entry) === this.mode && inWindow(entry, since))
+            .map((entry) => ({ ...entry, pending: true }))
+        : [];
+    const scores = [...ranked, ...pending].sort((a, b) => b.score - a.score);
+
+    const fallback = this.leaderboard.isFallback();
+    this.sourceElement.textContent = t(`leaderboard.source.${fallback ? 'fallback' : this.leaderboard.getActiveId()}`);
+    this.sourceElement.classList.toggle('warning', fallback);
+
+    this.prevButton.disabled = this.page === 0;
+    this.nextButton.disabled = rows.length <= PAGE_SIZE;
+    this.pageElement.textContent = t('leaderboard.page', { page: this.page + 1 });
+
+    this.listElement.innerHTML =
+      scores.length === 0
+        ? `<div class="leaderboard-empty">${escapeHtml(t('leaderboard.empty'))}</div>`
+        : scores.map((entry) => this.renderEntry(entry)).join('');
+
+    await this.renderPlayer(renderId, query);
+  }
+
+  renderEntry(entry) {
+    const isCurrentScore = this.highlightId !== null && entry.id === this.highlightId;
+    const classes = ['leaderboard-entry', isCurrentScore && 'highlight', entry.pending && 'pending'];
+    const date = entry.date ? formatDate(new Date(entry.date), { dateStyle: 'medium' }) : '';
+    const status = entry.pending ? escapeHtml(t('leaderboard.pending')) : date;
+    const verifiedMark = entry.verified
+      ? ` <span class="leaderboard-verified" title="${escapeHtml(t('leaderboard.verified'))}">✓</span>`
+      : '';
+    return `
+        <div class="${classes.filter(Boolean).join(' ')}">
+          <span class="leaderboard-rank">${entry.pending ? '–' : `${entry.rank}.`}</span>
+          <span class="leaderboard-name">${escapeHtml(entry.name)}${verifiedMark}</span>
+          <span class="leaderboard-date">${status}</span>
+          <span class="leaderboard-score">${formatNumber(entry.score)}</span>
+        </div>`;
+  }
+
+  // "Your best" row for the name last entered on this device
+  async renderPlayer(renderId, query) {
+    const name = getLastPlayerName();
+    this.playerElement.classList.toggle('hidden', !name);
+    if (!name) return;
+
+    const best = await this.leaderboard.getPlayerBest(name, query);
+    if (renderId !== this.renderId) return;
+    this.playerElement.textContent = best
+      ? t('leaderboard.yourBest', {
+          name,
+          score: formatNumber(best.entry.score),
+          rank: best.rank === null ? '?' : formatNumber(best.rank),
+        })
+      : t('leaderboard.noBest', { name });
+  }
+}
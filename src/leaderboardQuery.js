@@ -0,0 +1,47 @@
+import { DEFAULT_GAME_MODE } from './gameModes.js';
+
+// Leaderboard windows and the sorting/paging helpers providers use when they have to rank
+// entries themselves (the local board, and windowed views of the Firebase board).
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Boards reset at 00:00 UTC; weeks start on Monday
+export const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'allTime'];
+
+// ISO date the window starts at (comparable with entries' `date`), or null for all time
+export function windowStart(window, now = new Date()) {
+  if (window === 'allTime') return null;
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  if (window === 'daily') return new Date(start).toISOString();
+  const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+  return new Date(start - daysSinceMonday * DAY).toISOString();
+}
+
+// Each game mode has its own board. Entries from before modes existed belong to endless.
+export function entryMode(entry) {
+  return entry.mode ?? DEFAULT_GAME_MODE;
+}
+
+// Database path of a mode's board; endless keeps the original scores/ path
+export function boardPath(mode) {
+  return mode === DEFAULT_GAME_MODE ? 'scores' : `scores-${mode}`;
+}
+
+export function inWindow(entry, since) {
+  return since === null || (typeof entry.date === 'string' && entry.date >= since);
+}
+
+// Highest score first; ties keep the earlier entry ahead
+export function sortByScore(entries) {
+  return [...entries].sort((a, b) => b.score - a.score || String(a.date).localeCompare(String(b.date)));
+}
+
+// 1-based position a score would take: one more than the number of entries beating it
+export function rankOf(entries, score) {
+  return entries.filter((entry) => entry.score > score).length + 1;
+}
+
+// The player's highest entry, or null
+export function bestOf(entries, name) {
+  return sortByScore(entries.filter((entry) => entry.name === name))[0] ?? null;
+}
@@ -0,0 +1,58 @@
+import { entryMode, inWindow, sortByScore, rankOf, bestOf } from './leaderboardQuery.js';
+
+const DB_NAME = 'radarsat2_leaderboard';
+const DB_VERSION = 1;
+const STORE = 'scores';
+
+// Wrap an IDBRequest (or a transaction's completion) in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Leaderboard kept in this browser's IndexedDB. Works offline; scores are only visible on
+// this device.
+export class LocalLeaderboard {
+  constructor() {
+    this.id = 'local';
+    this.db = null;
+  }
+
+  async init() {
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { autoIncrement: true });
+      store.createIndex('score', 'score');
+    };
+    this.db = await promisify(request);
+  }
+
+  store(mode) {
+    return this.db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  async submitScore(entry) {
+    await promisify(this.store('readwrite').put(entry, entry.id));
+  }
+
+  // A device only ever holds its own scores, so every query ranks them in memory
+  async getEntries(mode, since) {
+    const entries = await promisify(this.store('readonly').getAll());
+    return entries.filter((entry) => entryMode(entry) === mode && inWindow(entry, since));
+  }
+
+  async getTopScores(limit, { mode, since = null, offset = 0 }) {
+    return sortByScore(await this.getEntries(mode, since)).slice(offset, offset + limit);
+  }
+
+  async getRank(score, { mode, since = null }) {
+    return rankOf(await this.getEntries(mode, since), score);
+  }
+
+  async getBestScore(name, { mode, since = null }) {
+    return bestOf(await this.getEntries(mode, since), name);
+  }
+}
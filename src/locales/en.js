@@ -0,0 +1,221 @@
+// English UI text. Keys are shared with the other catalogs; {name} marks a placeholder.
+export const messages = {
+  // Start menu
+  'menu.start': 'Start Game',
+  'menu.leaderboard': 'Leaderboard',
+  'menu.stats': 'Stats',
+  'menu.achievements': 'Achievements',
+  'menu.about': 'About',
+  'menu.settings': 'Settings',
+  'menu.loadReplay': 'Load Replay',
+  'menu.orbitClassic': 'Orbit: Classic',
+  'menu.orbitTle': 'Orbit: RADARSAT-2 (TLE)',
+  'menu.difficulty': 'Difficulty: {level}',
+  'menu.mode': 'Mode: {mode}',
+  'gameMode.endless.name': 'Endless',
+  'gameMode.endless.description': 'Play until your third data loss. Acquisitions need 50% coverage.',
+  'gameMode.timeAttack.name': 'Time Attack',
+  'gameMode.timeAttack.description': 'Three minutes. Every acquisition scores its coverage straight away.',
+  'gameMode.zen.name': 'Zen',
+  'gameMode.zen.description': 'No data loss limit and a gentler pace. End the run from the pause menu.',
+  'gameMode.hardcore.name': 'Hardcore',
+  'gameMode.hardcore.description': 'One data loss ends the run, and acquisitions need 75% coverage.',
+  'menu.language': 'Language: {language}',
+  'menu.gamepadConnected': 'Controller connected: {id}',
+  'common.back': 'Back',
+
+  'difficulty.easy': 'Easy',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Hard',
+
+  // Settings
+  'settings.sound': 'Sound',
+  'settings.master': 'Master',
+  'settings.effects': 'Effects',
+  'settings.music': 'Music',
+  'settings.mute': 'Mute',
+  'settings.accessibility': 'Accessibility',
+  'settings.colours': 'Colours',
+  'settings.graphics': 'Graphics',
+  'settings.quality': 'Quality',
+  'settings.stars': 'Stars',
+  'settings.globeDetail': 'Globe detail',
+  'settings.atmosphere': 'Atmosphere',
+  'settings.resolution': 'Resolution',
+  'settings.glow': 'Glow',
+  'settings.antialias': 'Antialiasing',
+  'settings.onReload': '(on reload)',
+  'settings.controller': 'Controller',
+  'settings.deadZone': 'Dead zone',
+  'settings.sensitivity': 'Sensitivity',
+  'settings.keyboard': 'Keyboard',
+  'settings.resetKeys': 'Reset Keys',
+
+  'palette.standard': 'Standard',
+  'palette.deuteranopia': 'Deuteranopia',
+  'palette.protanopia': 'Protanopia',
+  'palette.tritanopia': 'Tritanopia',
+  'palette.highContrast': 'High contrast',
+
+  'graphics.auto': 'Auto',
+  'graphics.low': 'Low',
+  'graphics.medium': 'Medium',
+  'graphics.high': 'High',
+  'graphics.custom': 'Custom',
+  'graphics.detected': 'Detected: {preset}',
+
+  'controls.image': 'Image (hold)',
+  'controls.beam': '{mode} beam',
+  'controls.pressKey': 'Press a key...',
+  'controls.reserved': '{key} is reserved for pause',
+  'controls.conflict': '{key} is already used for {action}',
+
+  // Beam modes, keyed by BEAM_MODES name
+  'beamMode.Ultra-Fine': 'Ultra-Fine',
+  'beamMode.Fine': 'Fine',
+  'beamMode.Standard': 'Standard',
+  'beamMode.ScanSAR': 'ScanSAR',
+  'legend.item': '{mode} · {resolution} m',
+  'legend.details': '{mode} - {resolution} m resolution, {dataRate} Mbit/s',
+
+  // About
+  'about.title': 'About',
+  'about.intro': 'A game inspired by RADARSAT-2.',
+  'about.aim': 'Use your mouse to aim the radar beam and hold spacebar to collect acquisitions.',
+  'about.beamModes':
+    'Press A, S, D, F (or your own keys, see Settings) to switch beam mode - each mode images a different swath width. The beam lines turn orange while the radar reconfigures, and it cannot image until they fade back.',
+  'about.slew':
+    'The beam slews towards the mouse rather than jumping to it. Higher difficulties slew more slowly and take longer to switch modes.',
+  'about.touch':
+    'On a touch screen: drag anywhere to aim, hold the IMAGE button to image and tap a beam button to switch modes.',
+  'about.pause':
+    'Press Escape or P (Start on a controller) to pause. The game also pauses when you switch tabs or windows.',
+  'about.gamepad':
+    'With a controller: left stick or triggers to aim, A / Cross to image, shoulder buttons to cycle beam modes.',
+  'about.polygons': 'Some acquisitions are irregular areas of interest - only the area inside the outline counts.',
+  'about.orbit':
+    "Switch the orbit to RADARSAT-2 (TLE) to fly the satellite's real ground track - each acquisition shows where on Earth it was taken.",
+  'about.downlink':
+    'Acquisitions only score once their data is downlinked. Pass a ground station - its ring must reach the satellite - to empty the recorder. Data still onboard at game over is lost.',
+  'about.resources':
+    'Imaging fills the onboard recorder and drains the battery. A full recorder is a dataloss, and a flat battery switches the radar off until the solar arrays recharge it.',
+  'about.dataLoss':
+    "An acquisition collected below the game mode's coverage threshold is a data loss. Each mode sets how many data losses end the run - see its description on the start menu.",
+  'about.disclaimer':
+    'This game is a fun personal project and not associated with MDA Space or the Canadian Space Agency',
+  'about.learnMore': 'Learn more about RADARSAT-2',
+  'about.learnMoreUrl': 'https://www.asc-csa.gc.ca/eng/satellites/radarsat2/about.asp',
+  'about.author': 'Created by Alex Chang',
+  'about.highScores': 'Send me your high scores',
+
+  // HUD
+  'hud.score': 'Score: {score}',
+  'hud.lives': 'Data Loss Reports: {lost}/{total}',
+  'hud.losses': 'Data Loss Reports: {lost}',
+  'hud.time': 'Time: {time}',
+  'hud.replay': 'REPLAY',
+  'hud.recorder': 'REC',
+  'hud.battery': 'PWR',
+  'hud.onboard': '+{points} onboard',
+  'hud.downlink': 'DOWNLINK · {station}',
+  'hud.orbit': '{position} · {time} UTC',
+  'hud.dataLoss': 'DATA LOSS +1',
+  'hud.recorderFull': 'RECORDER FULL - DATA LOSS +1',
+  'hud.batteryFlat': 'BATTERY FLAT - RADAR OFF',
+  'touch.image': 'IMAGE',
+
+  // Pause
+  'pause.title': 'Paused',
+  'pause.resume': 'Resume',
+  'pause.quit': 'Quit to Menu',
+  'pause.endRun': 'End Run',
+
+  // Game over
+  'gameOver.title': 'Game Over!',
+  'gameOver.finalScore': 'Final Score:',
+  'gameOver.highScore': 'High Score:',
+  'gameOver.lost': 'Lost onboard:',
+  'gameOver.lostValue': '{points} pts ({data} Gbit)',
+  'gameOver.seed': 'Seed:',
+  'gameOver.restart': 'Restart',
+  'gameOver.watchReplay': 'Watch Replay',
+  'gameOver.exportReplay': 'Export Replay',
+
+  // Leaderboard
+  'nameInput.title': 'New High Score!',
+  'nameInput.score': 'Score:',
+  'nameInput.placeholder': 'Your name',
+  'nameInput.submit': 'Submit',
+  'nameInput.skip': 'Skip',
+  'nameInput.anonymous': 'Anonymous',
+  'nameInput.submitTitle': 'Submit Your Score',
+  'nameInput.rank': 'Rank #{rank} all time',
+  'leaderboard.title': 'Leaderboard',
+  'leaderboard.loading': 'Loading...',
+  'leaderboard.empty': 'No scores yet. Play a game!',
+  'leaderboard.pending': 'pending',
+  'leaderboard.verified': 'Verified by replaying the run',
+  'leaderboard.source.firebase': 'Global leaderboard',
+  'leaderboard.source.rest': 'Global leaderboard',
+  'leaderboard.source.local': 'Scores on this device',
+  'leaderboard.source.fallback': 'Online leaderboard unavailable - showing scores on this device',
+  'leaderboard.window.daily': 'Today',
+  'leaderboard.window.weekly': 'This Week',
+  'leaderboard.window.allTime': 'All Time',
+  'leaderboard.previous': '‹ Previous',
+  'leaderboard.next': 'Next ›',
+  'leaderboard.page': 'Page {page}',
+  'leaderboard.yourBest': 'Best for {name}: {score} · Rank #{rank}',
+  'leaderboard.submitFailed': 'Could not submit score: {error}',
+  'leaderboard.scoreRefused': 'This score is outside the range the leaderboard accepts for this mode',
+  'leaderboard.invalidName': 'Names can only use letters, numbers and spaces (up to 12)',
+  'leaderboard.noBest': 'No score for {name} in this period yet',
+  'stats.empty': 'No games played yet.',
+  'stats.lifetime': 'Lifetime',
+  'stats.bests': 'Personal bests',
+  'stats.beams': 'Beam modes',
+  'stats.trend': 'Recent scores',
+  'stats.games': 'Games played',
+  'stats.totalScore': 'Total score',
+  'stats.playTime': 'Time played',
+  'stats.imagingTime': 'Time imaging',
+  'stats.idleTime': 'Time idle',
+  'stats.tiles': 'Acquisitions',
+  'stats.tilesValue': '{acquired} imaged / {lost} lost of {seen} seen',
+  'stats.bestValue': '{score} points · {duration} longest · {acquired} imaged',
+  'stats.beamValue': '{tiles} tiles · {accuracy} imaged · {coverage} avg. coverage',
+  'stats.export': 'Export',
+  'stats.clear': 'Clear',
+  'stats.clearConfirm': 'Delete your saved game history? This cannot be undone.',
+  'achievements.unlocked': 'Achievement unlocked!',
+  'achievements.progress': '{unlocked} of {total} unlocked',
+  'achievements.unlockedOn': 'Unlocked {date}',
+  'achievements.locked': 'Locked',
+  'achievement.firstAcquisition.name': 'First Light',
+  'achievement.firstAcquisition.description': 'Image your first acquisition.',
+  'achievement.perfectStreak.name': 'Pixel Perfect',
+  'achievement.perfectStreak.description': 'Image 10 acquisitions in a row at 100% coverage.',
+  'achievement.beamHopper.name': 'Beam Hopper',
+  'achievement.beamHopper.description': 'Switch beam modes 25 times in one game.',
+  'achievement.cleanStart.name': 'Clean Record',
+  'achievement.cleanStart.description': 'Play for 2 minutes without losing any data.',
+  'achievement.restCycle.name': 'Second Wind',
+  'achievement.restCycle.description': 'Survive a full rush and the lull that follows it.',
+  'achievement.survivor.name': 'Long Haul',
+  'achievement.survivor.description': 'Keep a game going for 5 minutes.',
+  'achievement.highScore.name': 'Data Hoarder',
+  'achievement.highScore.description': 'Reach a score of 5,000.',
+  'achievement.noStandardBeam.name': 'Fine Print',
+  'achievement.noStandardBeam.description': 'Image at least 10 acquisitions in a game without using the Standard beam.',
+
+  // Replays
+  'replay.loadFailed': 'Could not load replay: {error}',
+  'replay.invalidJson': 'Replay file is not valid JSON',
+  'replay.unsupportedVersion': 'Unsupported replay version',
+  'replay.missingSeed': 'Replay file is missing its seed or events',
+  'replay.invalidRotation': 'Replay file is missing its start rotation',
+  'replay.unsupportedStep': 'Replay was recorded with a different simulation step',
+  'replay.unknownDifficulty': 'Replay uses an unknown difficulty',
+  'replay.unknownMode': 'Replay uses an unknown game mode',
+  'replay.invalidEvents': 'Replay file contains invalid events',
+};
@@ -0,0 +1,222 @@
+// French UI text. Same keys as the English catalog (en.js); {name} marks a placeholder.
+export const messages = {
+  // Start menu
+  'menu.start': 'Jouer',
+  'menu.leaderboard': 'Classement',
+  'menu.stats': 'Statistiques',
+  'menu.achievements': 'Succès',
+  'menu.about': 'À propos',
+  'menu.settings': 'Paramètres',
+  'menu.loadReplay': 'Charger une reprise',
+  'menu.orbitClassic': 'Orbite : classique',
+  'menu.orbitTle': 'Orbite : RADARSAT-2 (TLE)',
+  'menu.difficulty': 'Difficulté : {level}',
+  'menu.mode': 'Mode : {mode}',
+  'gameMode.endless.name': 'Sans fin',
+  'gameMode.endless.description': "Jouez jusqu'à votre troisième perte de données. Les acquisitions exigent 50 % de couverture.",
+  'gameMode.timeAttack.name': 'Contre-la-montre',
+  'gameMode.timeAttack.description': 'Trois minutes. Chaque acquisition rapporte sa couverture immédiatement.',
+  'gameMode.zen.name': 'Zen',
+  'gameMode.zen.description': 'Pas de limite de pertes de données et un rythme plus doux. Terminez la partie depuis le menu pause.',
+  'gameMode.hardcore.name': 'Extrême',
+  'gameMode.hardcore.description': 'Une seule perte de données met fin à la partie, et les acquisitions exigent 75 % de couverture.',
+  'menu.language': 'Langue : {language}',
+  'menu.gamepadConnected': 'Manette connectée : {id}',
+  'common.back': 'Retour',
+
+  'difficulty.easy': 'Facile',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Difficile',
+
+  // Settings
+  'settings.sound': 'Son',
+  'settings.master': 'Général',
+  'settings.effects': 'Effets',
+  'settings.music': 'Musique',
+  'settings.mute': 'Muet',
+  'settings.accessibility': 'Accessibilité',
+  'settings.colours': 'Couleurs',
+  'settings.graphics': 'Graphismes',
+  'settings.quality': 'Qualité',
+  'settings.stars': 'Étoiles',
+  'settings.globeDetail': 'Détail du globe',
+  'settings.atmosphere': 'Atmosphère',
+  'settings.resolution': 'Résolution',
+  'settings.glow': 'Halo',
+  'settings.antialias': 'Anticrénelage',
+  'settings.onReload': '(au rechargement)',
+  'settings.controller': 'Manette',
+  'settings.deadZone': 'Zone morte',
+  'settings.sensitivity': 'Sensibilité',
+  'settings.keyboard': 'Clavier',
+  'settings.resetKeys': 'Touches par défaut',
+
+  'palette.standard': 'Standard',
+  'palette.deuteranopia': 'Deutéranopie',
+  'palette.protanopia': 'Protanopie',
+  'palette.tritanopia': 'Tritanopie',
+  'palette.highContrast': 'Contraste élevé',
+
+  'graphics.auto': 'Auto',
+  'graphics.low': 'Basse',
+  'graphics.medium': 'Moyenne',
+  'graphics.high': 'Haute',
+  'graphics.custom': 'Personnalisée',
+  'graphics.detected': 'Détectée : {preset}',
+
+  'controls.image': 'Imager (maintenir)',
+  'controls.beam': 'Faisceau {mode}',
+  'controls.pressKey': 'Appuyez sur une touche...',
+  'controls.reserved': '{key} est réservée à la pause',
+  'controls.conflict': '{key} est déjà utilisée pour {action}',
+
+  // Beam modes, keyed by BEAM_MODES name
+  'beamMode.Ultra-Fine': 'Ultrafin',
+  'beamMode.Fine': 'Fin',
+  'beamMode.Standard': 'Standard',
+  'beamMode.ScanSAR': 'ScanSAR',
+  'legend.item': '{mode} · {resolution} m',
+  'legend.details': '{mode} - résolution de {resolution} m, {dataRate} Mbit/s',
+
+  // About
+  'about.title': 'À propos',
+  'about.intro': 'Un jeu inspiré de RADARSAT-2.',
+  'about.aim': "Visez avec la souris et maintenez la barre d'espace pour faire des acquisitions.",
+  'about.beamModes':
+    "Appuyez sur A, S, D, F (ou vos propres touches, voir Paramètres) pour changer de mode de faisceau - chaque mode image une fauchée de largeur différente. Les lignes du faisceau deviennent orange pendant que le radar se reconfigure, et il ne peut pas imager avant qu'elles redeviennent normales.",
+  'about.slew':
+    "Le faisceau pivote vers la souris au lieu d'y sauter. Plus la difficulté est élevée, plus il pivote lentement et plus le changement de mode est long.",
+  'about.touch':
+    "Sur écran tactile : glissez n'importe où pour viser, maintenez le bouton IMAGER pour imager et touchez un bouton de faisceau pour changer de mode.",
+  'about.pause':
+    "Appuyez sur Échap ou P (Start sur une manette) pour mettre en pause. Le jeu se met aussi en pause quand vous changez d'onglet ou de fenêtre.",
+  'about.gamepad':
+    "Avec une manette : stick gauche ou gâchettes pour viser, A / Croix pour imager, boutons d'épaule pour changer de mode de faisceau.",
+  'about.polygons':
+    "Certaines acquisitions sont des zones d'intérêt irrégulières - seule la zone à l'intérieur du contour compte.",
+  'about.orbit':
+    "Passez l'orbite à RADARSAT-2 (TLE) pour suivre la vraie trace au sol du satellite - chaque acquisition indique où elle a été prise sur Terre.",
+  'about.downlink':
+    "Les acquisitions ne rapportent des points qu'une fois leurs données transmises au sol. Passez au-dessus d'une station au sol - son anneau doit atteindre le satellite - pour vider l'enregistreur. Les données encore à bord à la fin de la partie sont perdues.",
+  'about.resources':
+    "L'imagerie remplit l'enregistreur de bord et vide la batterie. Un enregistreur plein est une perte de données, et une batterie à plat éteint le radar jusqu'à ce que les panneaux solaires la rechargent.",
+  'about.dataLoss':
+    'Une acquisition collectée sous le seuil de couverture du mode de jeu entraîne une perte de données. Chaque mode fixe le nombre de pertes qui mettent fin à la partie - voir sa description dans le menu de démarrage.',
+  'about.disclaimer':
+    "Ce jeu est un projet personnel et n'est associé ni à MDA Space ni à l'Agence spatiale canadienne",
+  'about.learnMore': 'En savoir plus sur RADARSAT-2',
+  'about.learnMoreUrl': 'https://www.asc-csa.gc.ca/fra/satellites/radarsat2/a-propos.asp',
+  'about.author': 'Créé par Alex Chang',
+  'about.highScores': 'Envoyez-moi vos meilleurs scores',
+
+  // HUD
+  'hud.score': 'Score : {score}',
+  'hud.lives': 'Rapports de perte de données : {lost}/{total}',
+  'hud.losses': 'Rapports de perte de données : {lost}',
+  'hud.time': 'Temps : {time}',
+  'hud.replay': 'REPRISE',
+  'hud.recorder': 'ENR',
+  'hud.battery': 'ÉNR',
+  'hud.onboard': '+{points} à bord',
+  'hud.downlink': 'LIAISON DESCENDANTE · {station}',
+  'hud.orbit': '{position} · {time} UTC',
+  'hud.dataLoss': 'PERTE DE DONNÉES +1',
+  'hud.recorderFull': 'ENREGISTREUR PLEIN - PERTE DE DONNÉES +1',
+  'hud.batteryFlat': 'BATTERIE À PLAT - RADAR ÉTEINT',
+  'touch.image': 'IMAGER',
+
+  // Pause
+  'pause.title': 'Pause',
+  'pause.resume': 'Reprendre',
+  'pause.quit': 'Retour au menu',
+  'pause.endRun': 'Terminer la partie',
+
+  // Game over
+  'gameOver.title': 'Partie terminée !',
+  'gameOver.finalScore': 'Score final :',
+  'gameOver.highScore': 'Meilleur score :',
+  'gameOver.lost': 'Perdu à bord :',
+  'gameOver.lostValue': '{points} pts ({data} Gbit)',
+  'gameOver.seed': 'Graine :',
+  'gameOver.restart': 'Recommencer',
+  'gameOver.watchReplay': 'Voir la reprise',
+  'gameOver.exportReplay': 'Exporter la reprise',
+
+  // Leaderboard
+  'nameInput.title': 'Nouveau meilleur score !',
+  'nameInput.score': 'Score :',
+  'nameInput.placeholder': 'Votre nom',
+  'nameInput.submit': 'Envoyer',
+  'nameInput.skip': 'Passer',
+  'nameInput.anonymous': 'Anonyme',
+  'nameInput.submitTitle': 'Enregistrer votre score',
+  'nameInput.rank': 'Rang n° {rank} au classement général',
+  'leaderboard.title': 'Classement',
+  'leaderboard.loading': 'Chargement...',
+  'leaderboard.empty': 'Aucun score pour le moment. Jouez une partie !',
+  'leaderboard.pending': 'en attente',
+  'leaderboard.verified': 'Vérifié en rejouant la partie',
+  'leaderboard.source.firebase': 'Classement mondial',
+  'leaderboard.source.rest': 'Classement mondial',
+  'leaderboard.source.local': 'Scores sur cet appareil',
+  'leaderboard.source.fallback': 'Classement en ligne indisponible - scores de cet appareil',
+  'leaderboard.window.daily': "Aujourd'hui",
+  'leaderboard.window.weekly': 'Cette semaine',
+  'leaderboard.window.allTime': 'Général',
+  'leaderboard.previous': '‹ Précédent',
+  'leaderboard.next': 'Suivant ›',
+  'leaderboard.page': 'Page {page}',
+  'leaderboard.yourBest': 'Meilleur score de {name} : {score} · Rang n° {rank}',
+  'leaderboard.submitFailed': "Impossible d'envoyer le score : {error}",
+  'leaderboard.scoreRefused': 'Ce score est hors de la plage acceptée par le classement pour ce mode',
+  'leaderboard.invalidName': 'Les noms ne peuvent contenir que des lettres, des chiffres et des espaces (12 au maximum)',
+  'leaderboard.noBest': 'Aucun score pour {name} sur cette période',
+  'stats.empty': 'Aucune partie jouée pour le moment.',
+  'stats.lifetime': 'Carrière',
+  'stats.bests': 'Records personnels',
+  'stats.beams': 'Modes de faisceau',
+  'stats.trend': 'Scores récents',
+  'stats.games': 'Parties jouées',
+  'stats.totalScore': 'Score total',
+  'stats.playTime': 'Temps de jeu',
+  'stats.imagingTime': "Temps d'imagerie",
+  'stats.idleTime': 'Temps inactif',
+  'stats.tiles': 'Acquisitions',
+  'stats.tilesValue': '{acquired} imagées / {lost} perdues sur {seen} vues',
+  'stats.bestValue': '{score} points · {duration} au plus long · {acquired} imagées',
+  'stats.beamValue': '{tiles} zones · {accuracy} imagées · couverture moy. {coverage}',
+  'stats.export': 'Exporter',
+  'stats.clear': 'Effacer',
+  'stats.clearConfirm': 'Supprimer votre historique de parties ? Cette action est irréversible.',
+  'achievements.unlocked': 'Succès débloqué !',
+  'achievements.progress': '{unlocked} sur {total} débloqués',
+  'achievements.unlockedOn': 'Débloqué le {date}',
+  'achievements.locked': 'Verrouillé',
+  'achievement.firstAcquisition.name': 'Première lumière',
+  'achievement.firstAcquisition.description': 'Imagez votre première acquisition.',
+  'achievement.perfectStreak.name': 'Au pixel près',
+  'achievement.perfectStreak.description': "Imagez 10 acquisitions d'affilée avec 100 % de couverture.",
+  'achievement.beamHopper.name': 'Saute-faisceau',
+  'achievement.beamHopper.description': 'Changez de mode de faisceau 25 fois dans une partie.',
+  'achievement.cleanStart.name': 'Sans faute',
+  'achievement.cleanStart.description': 'Jouez 2 minutes sans perdre de données.',
+  'achievement.restCycle.name': 'Second souffle',
+  'achievement.restCycle.description': "Survivez à une vague complète et à l'accalmie qui suit.",
+  'achievement.survivor.name': 'Longue haleine',
+  'achievement.survivor.description': 'Faites durer une partie 5 minutes.',
+  'achievement.highScore.name': 'Collectionneur de données',
+  'achievement.highScore.description': 'Atteignez un score de 5 000.',
+  'achievement.noStandardBeam.name': 'En petits caractères',
+  'achievement.noStandardBeam.description': 'Imagez au moins 10 acquisitions dans une partie sans utiliser le faisceau Standard.',
+
+  // Replays
+  'replay.loadFailed': 'Impossible de charger la reprise : {error}',
+  'replay.invalidJson': "Le fichier de reprise n'est pas du JSON valide",
+  'replay.unsupportedVersion': 'Version de reprise non prise en charge',
+  'replay.missingSeed': 'Il manque la graine ou les événements dans le fichier de reprise',
+  'replay.invalidRotation': 'Il manque la rotation de départ dans le fichier de reprise',
+  'replay.unsupportedStep': 'La reprise a été enregistrée avec un autre pas de simulation',
+  'replay.unknownDifficulty': 'La reprise utilise une difficulté inconnue',
+  'replay.unknownMode': 'La reprise utilise un mode de jeu inconnu',
+  'replay.invalidEvents': 'Le fichier de reprise contient des événements invalides',
+};
@@ -2,15 +2,46 @@ import { createScene } from './scene.js';
 import { Game } from './game.js';
 import { InputHandler } from './input.js';
 import { createLeaderboard, getLastPlayerName, setLastPlayerName } from './leaderboard.js';
-import { firebaseConfig } from './firebaseConfig.js';
-
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
-}
+import { leaderboardConfig } from './leaderboardConfig.js';
+import { parseSeed } from './random.js';
+import { serializeReplay, parseReplay } from './replay.js';
+import { loadSetting, saveSetting } from './storage.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, isDifficulty } from './difficulty.js';
+import { GAME_MODES, DEFAULT_GAME_MODE, isGameMode } from './gameModes.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { isTouchDevice } from './touch.js';
+import { loadKeyBindings, saveKeyBindings, beamAction } from './keyBindings.js';
+import { ControlsPanel } from './controlsPanel.js';
+import { BEAM_MODES } from './beamModes.js';
+import { AudioEngine } from './audio.js';
+import {
+  loadGraphicsSettings,
+  saveGraphicsSettings,
+  resolveGraphics,
+  detectGraphicsPreset,
+  applyGraphics,
+} from './graphics.js';
+import { GraphicsPanel } from './graphicsPanel.js';
+import { LeaderboardPanel } from './leaderboardPanel.js';
+import { loadHistory, recordGame, summarizeCareer } from './careerStats.js';
+import { StatsPanel } from './statsPanel.js';
+import { AchievementsPanel } from './achievementsPanel.js';
+import { PALETTES, setPalette } from './palettes.js';
+import {
+  LANGUAGES,
+  isLanguage,
+  detectLanguage,
+  getLanguage,
+  setLanguage,
+  t,
+  formatNumber,
+} from './i18n.js';
 
 async function init() {
+  // Language - a saved choice wins over the browser's preference
+  const savedLanguage = loadSetting('language', null);
+  setLanguage(isLanguage(savedLanguage) ? savedLanguage : detectLanguage());
+
   // Get or create canvas element
   let canvas = document.querySelector('canvas');
   if (!canvas) {
@@ -21,17 +52,27 @@ async function init() {
     document.body.appendChild(canvas);
   }
 
-  // Initialize the scene (now async to wait for model loading)
-  const { scene, camera, engine, ground, earthTexture } = await createScene(canvas);
+  // Initialize the scene at the saved graphics quality (auto starts high until measured)
+  const graphicsSettings = loadGraphicsSettings();
+  const { scene, camera, engine, ground, earth, earthTexture, environment } = await createScene(
+    canvas,
+    resolveGraphics(graphicsSettings)
+  );
 
-  // Initialize leaderboard (global only via Firebase)
-  const leaderboard = createLeaderboard(firebaseConfig);
+  // Initialize leaderboard (provider from leaderboardConfig, local scores as the fallback)
+  const leaderboard = createLeaderboard(leaderboardConfig);
 
   // Create game instance
-  const game = new Game(scene, camera, engine, ground, earthTexture);
+  const game = new Game(scene, camera, engine, ground, earth, earthTexture);
+
+  // Sound - silent until the Start Game click unlocks WebAudio
+  const audio = new AudioEngine();
+  game.setAudio(audio);
+
 
   // Set up input handler
   const inputHandler = new InputHandler(camera, game, scene);
+  if (isTouchDevice()) inputHandler.enableTouchControls();
 
   // Menu elements
   const startMenu = document.getElementById('startMenu');
@@ -42,35 +83,77 @@ async function init() {
   const infoButton = document.getElementById('showInfo');
   const gameOverInfoButton = document.getElementById('gameOverInfo');
   const closeInfoButton = document.getElementById('closeInfo');
+  const settingsPanel = document.getElementById('settingsPanel');
+  const settingsButton = document.getElementById('showSettings');
+  const closeSettingsButton = document.getElementById('closeSettings');
+  const gamepadStatus = document.getElementById('gamepadStatus');
+  const statsPanel = document.getElementById('statsPanel');
+  const statsButton = document.getElementById('showStats');
+  const closeStatsButton = document.getElementById('closeStats');
+  const achievementsPanel = document.getElementById('achievementsPanel');
+  const achievementsButton = document.getElementById('showAchievements');
+  const closeAchievementsButton = document.getElementById('closeAchievements');
+
+  // Pause menu elements
+  const pauseMenu = document.getElementById('pauseMenu');
+  const resumeButton = document.getElementById('resumeGame');
+  const pauseRestartButton = document.getElementById('pauseRestart');
+  const pauseSettingsButton = document.getElementById('pauseSettings');
+  const quitToMenuButton = document.getElementById('quitToMenu');
+  const endRunButton = document.getElementById('endRun');
 
   // Leaderboard elements
   const nameInputPanel = document.getElementById('nameInput');
+  const nameInputTitle = document.getElementById('nameInputTitle');
   const nameInputScore = document.getElementById('nameInputScore');
+  const nameInputRank = document.getElementById('nameInputRank');
   const playerNameInput = document.getElementById('playerName');
   const submitScoreBtn = document.getElementById('submitScore');
   const skipScoreBtn = document.getElementById('skipScore');
   const leaderboardPanel = document.getElementById('leaderboard');
-  const leaderboardList = document.getElementById('leaderboardList');
   const closeLeaderboardBtn = document.getElementById('closeLeaderboard');
   const showLeaderboardBtn = document.getElementById('showLeaderboard');
   const gameOverLeaderboardBtn = document.getElementById('gameOverLeaderboard');
 
+  // Replay elements
+  const watchReplayBtn = document.getElementById('watchReplay');
+  const exportReplayBtn = document.getElementById('exportReplay');
+  const loadReplayBtn = document.getElementById('loadReplay');
+  const replayFileInput = document.getElementById('replayFile');
+  const orbitToggleBtn = document.getElementById('orbitToggle');
+  const difficultyBtn = document.getElementById('difficultyToggle');
+  const modeBtn = document.getElementById('modeToggle');
+  const modeDescription = document.getElementById('modeDescription');
+  const languageBtn = document.getElementById('languageToggle');
+
   let returnFromLeaderboard = 'startMenu';
-  let lastSubmittedScore = null;
+  const leaderboardView = new LeaderboardPanel(leaderboard);
 
   // Start game paused with target zone hidden
   game.setPaused(true);
   game.setTargetVisible(false);
 
-  // Game over callback — show name input only if score qualifies for top 10
+  // Game over callback — offer to submit any score that can be ranked (top 10 gets the fanfare)
   game.onGameOver = async (finalScore) => {
-    lastSubmittedScore = null;
+    leaderboardView.highlightId = null;
+    recordGame({
+      date: new Date().toISOString(),
+      score: finalScore,
+      seed: game.getSeed(),
+      difficulty: game.getDifficulty(),
+      mode: game.getMode(),
+      orbital: game.isOrbitalMode(),
+      ...game.getRunStats(),
+    });
 
-    const scores = await leaderboard.getTopScores(10);
-    const qualifies = scores.length < 10 || finalScore > scores[scores.length - 1].score;
+    const rank = finalScore > 0 ? await leaderboard.getRank(finalScore, { mode: game.getMode() }) : null;
 
-    if (qualifies) {
-      nameInputScore.textContent = finalScore;
+    if (rank !== null) {
+      const title = rank <= 10 ? 'nameInput.title' : 'nameInput.submitTitle';
+      nameInputTitle.dataset.i18n = title;
+      nameInputTitle.textContent = t(title);
+      nameInputScore.textContent = formatNumber(finalScore);
+      nameInputRank.textContent = t('nameInput.rank', { rank: formatNumber(rank) });
       playerNameInput.value = getLastPlayerName() || '';
       nameInputPanel.classList.remove('hidden');
       setTimeout(() => playerNameInput.focus(), 100);
@@ -80,13 +163,17 @@ async function init() {
   };
 
   // Submit score
-  submitScoreBtn.addEventListener('click', () => {
-    const name = playerNameInput.value.trim() || 'Anonymous';
+  submitScoreBtn.addEventListener('click', async () => {
+    const name = playerNameInput.value.trim() || t('nameInput.anonymous');
     setLastPlayerName(name);
-    if (leaderboard.isAvailable()) {
-      leaderboard.submitScore(name, game.score);
+    let submission;
+    try {
+      submission = await leaderboard.submitScore(name, game.getScore(), game.getLastReplay(), game.getMode());
+    } catch (err) {
+      alert(t('leaderboard.submitFailed', { error: err.message }));
+      return;
     }
-    lastSubmittedScore = { name, score: game.score };
+    leaderboardView.highlightId = submission.id;
     nameInputPanel.classList.add('hidden');
     showLeaderboard('gameOver');
   });
@@ -105,38 +192,15 @@ async function init() {
   // Leaderboard display
   function showLeaderboard(returnTo) {
     returnFromLeaderboard = returnTo || 'startMenu';
-    renderLeaderboard();
+    leaderboardView.setMode(game.getMode()); // Opens on the board for the selected mode
 
     startMenu.classList.add('hidden');
     gameOverElement.classList.add('hidden');
     leaderboardPanel.classList.remove('hidden');
   }
 
-  async function renderLeaderboard() {
-    leaderboardList.innerHTML = '<div class="leaderboard-empty">Loading...</div>';
-
-    const scores = await leaderboard.getTopScores(10);
-    if (scores.length === 0) {
-      leaderboardList.innerHTML =
-        '<div class="leaderboard-empty">No scores yet. Play a game!</div>';
-      return;
-    }
-
-    leaderboardList.innerHTML = scores
-      .map((entry, i) => {
-        const isCurrentScore =
-          lastSubmittedScore &&
-          entry.score === lastSubmittedScore.score &&
-          entry.name === lastSubmittedScore.name;
-        return `
-        <div class="leaderboard-entry ${isCurrentScore ? 'highlight' : ''}">
-          <span class="leaderboard-rank">${i + 1}.</span>
-          <span class="leaderboard-name">${escapeHtml(entry.name)}</span>
-          <span class="leaderboard-score">${entry.score.toLocaleString()}</span>
-        </div>`;
-      })
-      .join('');
-  }
+  // Queued scores retry as soon as the connection returns
+  window.addEventListener('online', () => leaderboard.retryNow());
 
   // Close leaderboard
   closeLeaderboardBtn.addEventListener('click', () => {
@@ -158,12 +222,311 @@ async function init() {
     showLeaderboard('gameOver');
   });
 
+  // A shared run can be reproduced by opening the game with ?seed=<n>
+  const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+
   // Start game
   startButton.addEventListener('click', () => {
+    audio.unlock();
     startMenu.classList.add('hidden');
     hud.classList.remove('hidden');
     game.setTargetVisible(true);
-    game.startGame();
+    game.startGame(urlSeed);
+  });
+
+  // Replays
+  function watchReplay(replay) {
+    audio.unlock();
+    startMenu.classList.add('hidden');
+    gameOverElement.classList.add('hidden');
+    hud.classList.remove('hidden');
+    game.startReplay(replay);
+  }
+
+  watchReplayBtn.addEventListener('click', () => {
+    const replay = game.getLastReplay();
+    if (replay) watchReplay(replay);
+  });
+
+  exportReplayBtn.addEventListener('click', () => {
+    const replay = game.getLastReplay();
+    if (!replay) return;
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `radarsat2-replay-${replay.seed}-${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  // Unlock audio on the click itself - the file arrives after the gesture has expired
+  loadReplayBtn.addEventListener('click', () => {
+    audio.unlock();
+    replayFileInput.click();
+  });
+
+  replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    try {
+      watchReplay(parseReplay(await file.text()));
+    } catch (err) {
+      console.warn('Failed to load replay:', err);
+      alert(t('replay.loadFailed', { error: err.message }));
+    }
+  });
+
+  // Orbit mode - classic spin or the real RADARSAT-2 ground track
+  function setOrbitalMode(enabled) {
+    try {
+      game.setOrbitalMode(enabled);
+    } catch (err) {
+      console.warn('Failed to start orbital mode:', err);
+      game.setOrbitalMode(false);
+    }
+    orbitToggleBtn.textContent = t(game.isOrbitalMode() ? 'menu.orbitTle' : 'menu.orbitClassic');
+  }
+
+  setOrbitalMode(loadSetting('orbitMode', false));
+
+  orbitToggleBtn.addEventListener('click', () => {
+    setOrbitalMode(!game.isOrbitalMode());
+    saveSetting('orbitMode', game.isOrbitalMode());
+  });
+
+  // Difficulty - cycles through the presets
+  function setDifficulty(name) {
+    game.setDifficulty(name);
+    difficultyBtn.textContent = t('menu.difficulty', { level: t(`difficulty.${name}`) });
+  }
+
+  const savedDifficulty = loadSetting('difficulty', DEFAULT_DIFFICULTY);
+  setDifficulty(isDifficulty(savedDifficulty) ? savedDifficulty : DEFAULT_DIFFICULTY);
+
+  difficultyBtn.addEventListener('click', () => {
+    const names = Object.keys(DIFFICULTY_PRESETS);
+    const next = names[(names.indexOf(game.getDifficulty()) + 1) % names.length];
+    setDifficulty(next);
+    saveSetting('difficulty', next);
+  });
+
+  // Game mode - cycles through the modes, each with its own leaderboard
+  function setGameMode(name) {
+    game.setMode(name);
+    // The high score carries over from the saved game history, for this mode only
+    game.setHighScore(summarizeCareer(loadHistory()).bests[name].score);
+    modeBtn.textContent = t('menu.mode', { mode: t(`gameMode.${name}.name`) });
+    modeDescription.textContent = t(`gameMode.${name}.description`);
+  }
+
+  const savedMode = loadSetting('gameMode', DEFAULT_GAME_MODE);
+  setGameMode(isGameMode(savedMode) ? savedMode : DEFAULT_GAME_MODE);
+
+  modeBtn.addEventListener('click', () => {
+    const names = Object.keys(GAME_MODES);
+    const next = names[(names.indexOf(game.getMode()) + 1) % names.length];
+    setGameMode(next);
+    saveSetting('gameMode', next);
+  });
+
+  // Settings panel
+  const settings = loadSettings();
+
+  function applySettings() {
+    inputHandler.setGamepadSettings(settings);
+    audio.setVolumes(settings);
+    setPalette(settings.palette);
+    game.applyPalette();
+    if (inputHandler.touchControls) inputHandler.touchControls.applyPalette();
+  }
+
+  const rangeOutputRefreshers = []; // Re-format slider readouts when the language changes
+
+  function bindRangeSetting(key, format) {
+    const input = document.getElementById(key);
+    const output = document.getElementById(`${key}Value`);
+    input.value = settings[key];
+    output.textContent = format(settings[key]);
+    rangeOutputRefreshers.push(() => {
+      output.textContent = format(settings[key]);
+    });
+    input.addEventListener('input', () => {
+      settings[key] = parseFloat(input.value);
+      output.textContent = format(settings[key]);
+      applySettings();
+      saveSettings(settings);
+    });
+  }
+
+  function bindCheckboxSetting(key) {
+    const input = document.getElementById(key);
+    input.checked = settings[key];
+    input.addEventListener('change', () => {
+      settings[key] = input.checked;
+      applySettings();
+      saveSettings(settings);
+    });
+  }
+
+  // Options are message keys by value, so i18n.js relabels them with the rest of the page
+  function bindSelectSetting(key, options) {
+    const select = document.getElementById(key);
+    for (const [value, messageKey] of Object.entries(options)) {
+      const option = new Option(t(messageKey), value);
+      option.dataset.i18n = messageKey;
+      select.add(option);
+    }
+    select.value = settings[key];
+    select.addEventListener('change', () => {
+      settings[key] = select.value;
+      applySettings();
+      saveSettings(settings);
+    });
+  }
+
+  const formatPercent = (value) => formatNumber(value, { style: 'percent' });
+  bindRangeSetting('gamepadDeadZone', formatPercent);
+  bindRangeSetting('gamepadSensitivity', (value) => `${formatNumber(value)}x`);
+  bindRangeSetting('masterVolume', formatPercent);
+  bindRangeSetting('sfxVolume', formatPercent);
+  bindRangeSetting('musicVolume', formatPercent);
+  bindCheckboxSetting('muted');
+  bindSelectSetting(
+    'palette',
+    Object.fromEntries(Object.keys(PALETTES).map((name) => [name, `palette.${name}`]))
+  );
+  applySettings();
+
+  settingsButton.addEventListener('click', () => {
+    startMenu.classList.add('hidden');
+    settingsPanel.classList.remove('hidden');
+    settingsPanel.dataset.returnTo = 'startMenu';
+  });
+
+  // Graphics quality - applied live; auto picks a preset from the first seconds of frame time
+  const graphicsPanel = new GraphicsPanel(graphicsSettings, (settings) => {
+    applyGraphics(engine, environment, graphicsPanel.getQuality());
+    saveGraphicsSettings(settings);
+  });
+  applyGraphics(engine, environment, graphicsPanel.getQuality());
+
+  detectGraphicsPreset(engine).then((preset) => {
+    graphicsPanel.setDetectedPreset(preset);
+    applyGraphics(engine, environment, graphicsPanel.getQuality());
+  });
+
+  // Keyboard bindings
+  function applyKeyBindings(bindings) {
+    inputHandler.setKeyBindings(bindings);
+    game.setBeamKeyLabels(BEAM_MODES.map((_, i) => bindings[beamAction(i)].label));
+  }
+
+  const controlsPanel = new ControlsPanel(
+    document.getElementById('keyBindings'),
+    document.getElementById('keyBindingMessage'),
+    loadKeyBindings(),
+    (bindings) => {
+      applyKeyBindings(bindings);
+      saveKeyBindings(bindings);
+    }
+  );
+  applyKeyBindings(controlsPanel.bindings);
+
+  document.getElementById('resetKeyBindings').addEventListener('click', () => controlsPanel.resetToDefaults());
+
+  closeSettingsButton.addEventListener('click', () => {
+    controlsPanel.cancelCapture();
+    settingsPanel.classList.add('hidden');
+    const returnTo = settingsPanel.dataset.returnTo || 'startMenu';
+    document.getElementById(returnTo).classList.remove('hidden');
+  });
+
+  // Pause menu
+  function pauseGame() {
+    if (!game.pause()) return;
+    endRunButton.classList.toggle('hidden', !game.canEndRun());
+    pauseMenu.classList.remove('hidden');
+  }
+
+  function resumeGame() {
+    pauseMenu.classList.add('hidden');
+    game.resume();
+  }
+
+  inputHandler.onPauseToggle = () => {
+    if (!pauseMenu.classList.contains('hidden')) {
+      resumeGame();
+    } else if (settingsPanel.classList.contains('hidden')) {
+      pauseGame();
+    }
+  };
+
+  resumeButton.addEventListener('click', resumeGame);
+
+  pauseRestartButton.addEventListener('click', () => {
+    pauseMenu.classList.add('hidden');
+    game.restart();
+  });
+
+  pauseSettingsButton.addEventListener('click', () => {
+    pauseMenu.classList.add('hidden');
+    settingsPanel.classList.remove('hidden');
+    settingsPanel.dataset.returnTo = 'pauseMenu';
+  });
+
+  endRunButton.addEventListener('click', () => {
+    pauseMenu.classList.add('hidden');
+    game.endRun();
+  });
+
+  quitToMenuButton.addEventListener('click', () => {
+    pauseMenu.classList.add('hidden');
+    game.quitToMenu();
+    startMenu.classList.remove('hidden');
+  });
+
+  // Switching tabs or windows pauses, so a long frame on return can't skip the game ahead
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame();
+  });
+  window.addEventListener('blur', pauseGame);
+
+  // Controller connect/disconnect shows on the start menu
+  function updateGamepadStatus() {
+    const pad = inputHandler.getGamepad();
+    gamepadStatus.textContent = pad ? t('menu.gamepadConnected', { id: pad.id }) : '';
+    gamepadStatus.classList.toggle('hidden', !pad);
+  }
+
+  window.addEventListener('gamepadconnected', updateGamepadStatus);
+  window.addEventListener('gamepaddisconnected', updateGamepadStatus);
+  updateGamepadStatus();
+
+  // Language switcher - cycles through the catalogs. Tagged markup is re-translated by
+  // setLanguage; everything below builds its text in code.
+  function applyLanguage() {
+    languageBtn.textContent = t('menu.language', { language: LANGUAGES[getLanguage()].label });
+    setOrbitalMode(game.isOrbitalMode());
+    setDifficulty(game.getDifficulty());
+    setGameMode(game.getMode());
+    updateGamepadStatus();
+    game.applyLanguage();
+    controlsPanel.cancelCapture();
+    controlsPanel.render();
+    graphicsPanel.refresh();
+    for (const refresh of rangeOutputRefreshers) refresh();
+  }
+
+  applyLanguage();
+
+  languageBtn.addEventListener('click', () => {
+    const codes = Object.keys(LANGUAGES);
+    const next = codes[(codes.indexOf(getLanguage()) + 1) % codes.length];
+    setLanguage(next);
+    saveSetting('language', next);
+    applyLanguage();
   });
 
   // Info panel
@@ -185,6 +548,34 @@ async function init() {
     document.getElementById(returnTo).classList.remove('hidden');
   });
 
+  // Stats panel
+  const statsView = new StatsPanel();
+
+  statsButton.addEventListener('click', () => {
+    statsView.render();
+    startMenu.classList.add('hidden');
+    statsPanel.classList.remove('hidden');
+  });
+
+  closeStatsButton.addEventListener('click', () => {
+    statsPanel.classList.add('hidden');
+    startMenu.classList.remove('hidden');
+  });
+
+  // Achievements panel
+  const achievementsView = new AchievementsPanel();
+
+  achievementsButton.addEventListener('click', () => {
+    achievementsView.render();
+    startMenu.classList.add('hidden');
+    achievementsPanel.classList.remove('hidden');
+  });
+
+  closeAchievementsButton.addEventListener('click', () => {
+    achievementsPanel.classList.add('hidden');
+    startMenu.classList.remove('hidden');
+  });
+
   // Game loop
   engine.runRenderLoop(() => {
     inputHandler.update(); // Process pending mouse input once per frame
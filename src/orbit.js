@@ -0,0 +1,156 @@
+import { Matrix, Quaternion, Vector3 } from "@babylonjs/core";
+import {
+  twoline2satrec,
+  propagate,
+  gstime,
+  eciToEcf,
+  eciToGeodetic,
+  degreesLat,
+  degreesLong,
+} from "satellite.js";
+
+// RADARSAT-2 (NORAD 32382) elements for its dawn-dusk sun-synchronous orbit. SGP4 accuracy
+// degrades with distance from the epoch - paste a fresh set from CelesTrak to keep the
+// ground track exact.
+export const RADARSAT2_TLE = [
+  "1 32382U 07061A   26290.50000000  .00000120  00000-0  58000-4 0  9996",
+  "2 32382  98.5780 293.0000 0001150  89.4321 270.7012 14.29984512983212",
+];
+
+const EARTH_ROTATION_RATE = 7.2921159e-5; // Radians per second
+
+// Earth.jpg is equirectangular; as CreateSphere maps it, the mesh's +y pole is the South Pole
+// and longitude -180 lies on the mesh's +x axis. Maps mesh coordinates to ECEF.
+const MESH_TO_ECF = [
+  [-1, 0, 0],
+  [0, 0, 1],
+  [0, -1, 0],
+];
+
+function multiply(a, b) {
+  return a.map((row) => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+}
+
+function transpose(m) {
+  return m[0].map((_, j) => m.map((row) => row[j]));
+}
+
+// Drives the Earth's orientation from SGP4 propagation. The orbit frame ("ground") keeps
+// rotating at the game's fixed rate; orbit time is advanced so the satellite's argument of
+// latitude moves at that same rate, and each frame the Earth mesh is rotated inside the frame
+// so the true sub-satellite point sits under the satellite with the ground track running
+// along the direction tiles travel.
+export class OrbitalMode {
+  constructor(earth, tle = RADARSAT2_TLE) {
+    this.earth = earth;
+    this.satrec = twoline2satrec(tle[0], tle[1]);
+    if (this.satrec.error) {
+      throw new Error(`Invalid TLE (SGP4 error ${this.satrec.error})`);
+    }
+    this.meanMotion = this.satrec.no / 60; // Radians per second
+
+    this.startDate = new Date();
+    this.startRotation = null;
+    this.lastRotation = null;
+    this.date = this.startDate;
+    this.subSatellitePoint = null;
+    this.frameToEcf = null; // Orbit-frame basis expressed in ECEF, for locating tiles
+  }
+
+  // Orbit time that corresponds to the orbit frame's current rotation
+  dateForRotation(rotation) {
+    // The frame jumps back when a game restarts; carry on from the current date
+    if (this.startRotation === null || rotation < this.lastRotation) {
+      this.startDate = this.date;
+      this.startRotation = rotation;
+    }
+    this.lastRotation = rotation;
+    const elapsed = (rotation - this.startRotation) / this.meanMotion;
+    return new Date(this.startDate.getTime() + elapsed * 1000);
+  }
+
+  update(rotation) {
+    this.date = this.dateForRotation(rotation);
+    const state = propagate(this.satrec, this.date);
+    if (!state.position) return;
+
+    const gmst = gstime(this.date);
+    const geodetic = eciToGeodetic(state.position, gmst);
+    this.subSatellitePoint = {
+      lat: degreesLat(geodetic.latitude),
+      lon: degreesLong(geodetic.longitude),
+    };
+
+    // Position and ground-relative velocity in ECEF
+    const p = eciToEcf(state.position, gmst);
+    const v = eciToEcf(state.velocity, gmst);
+    const position = new Vector3(p.x, p.y, p.z);
+    const velocity = new Vector3(
+      v.x + EARTH_ROTATION_RATE * p.y,
+      v.y - EARTH_ROTATION_RATE * p.x,
+      v.z
+    );
+
+    // Track basis in ECEF: up (sub-satellite point), along-track, orbit normal
+    const up = position.normalizeToNew();
+    const normal = Vector3.Cross(up, velocity).normalize();
+    const along = Vector3.Cross(normal, up).normalize();
+
+    // The same basis in orbit-frame coordinates: the point under the satellite, the direction
+    // it moves across the frame as the rotation grows, and the frame's x axis. Babylon is
+    // left-handed, so the right-handed orbit normal maps to +x.
+    const frameUp = [0, Math.cos(rotation), -Math.sin(rotation)];
+    const frameAlong = [0, -Math.sin(rotation), -Math.cos(rotation)];
+    const frameNormal = [1, 0, 0];
+
+    const ecfBasis = [
+      [up.x, along.x, normal.x],
+      [up.y, along.y, normal.y],
+      [up.z, along.z, normal.z],
+    ];
+    const frameBasis = transpose([frameUp, frameAlong, frameNormal]);
+    this.frameToEcf = multiply(ecfBasis, transpose(frameBasis));
+
+    // Earth mesh -> ECEF -> track basis -> orbit frame
+    const meshToFrame = multiply(multiply(frameBasis, transpose(ecfBasis)), MESH_TO_ECF);
+
+    // Babylon matrices use the row-vector convention, so load the transpose
+    const m = meshToFrame;
+    const rotationMatrix = Matrix.FromValues(
+      m[0][0], m[1][0], m[2][0], 0,
+      m[0][1], m[1][1], m[2][1], 0,
+      m[0][2], m[1][2], m[2][2], 0,
+      0, 0, 0, 1
+    );
+    this.earth.rotationQuaternion = Quaternion.FromRotationMatrix(rotationMatrix);
+  }
+
+  // Geographic coordinates of a point given in orbit-frame space (e.g. a tile's position)
+  locate(point) {
+    if (!this.frameToEcf) return null;
+    const [x, y, z] = this.frameToEcf.map((row) => row[0] * point.x + row[1] * point.y + row[2] * point.z);
+    return {
+      lat: (Math.atan2(z, Math.hypot(x, y)) * 180) / Math.PI,
+      lon: (Math.atan2(y, x) * 180) / Math.PI,
+    };
+  }
+
+  getSubSatellitePoint() {
+    return this.subSatellitePoint;
+  }
+
+  getDate() {
+    return this.date;
+  }
+
+  dispose() {
+    this.earth.rotationQuaternion = null;
+    this.earth.rotation.setAll(0);
+  }
+}
+
+export function formatLatLon({ lat, lon }) {
+  const latText = `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? "N" : "S"}`;
+  const lonText = `${Math.abs(lon).toFixed(2)}°${lon >= 0 ? "E" : "W"}`;
+  return `${latText} ${lonText}`;
+}
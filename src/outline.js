@@ -0,0 +1,51 @@
+import { MeshBuilder, Vector3 } from "@babylonjs/core";
+import { BEAM_MODES, OUTLINE_PATTERNS } from "./beamModes.js";
+
+const MAX_MITER = 3; // Longest corner offset, in insets, so sharp spikes don't overshoot
+
+// The outline moved `inset` inwards: each edge shifts along its inward normal and each corner
+// moves to where its two shifted edges meet. Works for concave outlines too. Points lie in
+// the mesh's XY plane.
+function insetOutline(points, inset) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  const side = area > 0 ? 1 : -1; // Inward is to the left of each edge when counter-clockwise
+
+  const normals = points.map((a, i) => {
+    const edge = points[(i + 1) % points.length].subtract(a).normalize();
+    return new Vector3(-edge.y * side, edge.x * side, 0);
+  });
+  return points.map((point, i) => {
+    const before = normals[(i + normals.length - 1) % normals.length];
+    const after = normals[i];
+    const miter = before.add(after).normalize();
+    const length = Math.min(inset / Math.max(Vector3.Dot(miter, after), 1e-6), inset * MAX_MITER);
+    return point.add(miter.scaleInPlace(length));
+  });
+}
+
+// Closed outline through the given points, drawn in the beam mode's dash pattern
+export function createBeamOutline(name, points, widthIndex, scene) {
+  const loop = [...points, points[0].clone()];
+  const pattern = OUTLINE_PATTERNS[BEAM_MODES[widthIndex].outline];
+  if (!pattern) return MeshBuilder.CreateLines(name, { points: loop }, scene);
+  if (pattern.inset) {
+    const inner = insetOutline(points, pattern.inset);
+    return MeshBuilder.CreateLineSystem(name, { lines: [loop, [...inner, inner[0].clone()]] }, scene);
+  }
+
+  // dashNb spreads dashes evenly over the whole loop, so derive it from the perimeter to keep
+  // dash lengths the same on every tile
+  let perimeter = 0;
+  for (let i = 1; i < loop.length; i++) perimeter += loop[i].subtract(loop[i - 1]).length();
+  const dashNb = Math.max(1, Math.round(perimeter / (pattern.dash + pattern.gap)));
+  return MeshBuilder.CreateDashedLines(
+    name,
+    { points: loop, dashSize: pattern.dash, gapSize: pattern.gap, dashNb },
+    scene
+  );
+}
@@ -0,0 +1,63 @@
+import { Color3 } from '@babylonjs/core';
+import { BEAM_MODES } from './beamModes.js';
+
+// Colour sets for the beam modes and the imaging trails. Beam colours are keyed by mode name;
+// a mode a palette doesn't list keeps the colour on its BEAM_MODES entry. The colour-blind
+// sets are drawn from the Okabe-Ito palette so each beam stays distinct, and the trail
+// highlight differs from the plain trail in brightness, not just hue.
+export const PALETTES = {
+  standard: {
+    beams: {},
+    trail: '#ffff00',
+    trailHit: '#00ff00',
+  },
+  deuteranopia: {
+    beams: { 'Ultra-Fine': '#d55e00', Fine: '#0072b2', Standard: '#f0e442', ScanSAR: '#cc79a7' },
+    trail: '#999999',
+    trailHit: '#ffffff',
+  },
+  protanopia: {
+    beams: { 'Ultra-Fine': '#e69f00', Fine: '#0072b2', Standard: '#eeeeee', ScanSAR: '#cc79a7' },
+    trail: '#777777',
+    trailHit: '#56b4e9',
+  },
+  tritanopia: {
+    beams: { 'Ultra-Fine': '#ff3355', Fine: '#009e9e', Standard: '#f0f0f0', ScanSAR: '#ff9966' },
+    trail: '#777777',
+    trailHit: '#ff99dd',
+  },
+  highContrast: {
+    beams: { 'Ultra-Fine': '#ff00ff', Fine: '#00ffff', Standard: '#ffff00', ScanSAR: '#00ff00' },
+    trail: '#808080',
+    trailHit: '#ffffff',
+  },
+};
+
+export const DEFAULT_PALETTE = 'standard';
+
+let activePalette = PALETTES[DEFAULT_PALETTE];
+
+export function isPalette(name) {
+  return Object.prototype.hasOwnProperty.call(PALETTES, name);
+}
+
+// Meshes read the active palette when they are built; Game.applyPalette recolours live ones
+export function setPalette(name) {
+  activePalette = PALETTES[isPalette(name) ? name : DEFAULT_PALETTE];
+}
+
+export function getBeamCssColor(index) {
+  const { name, color } = BEAM_MODES[index];
+  return Object.prototype.hasOwnProperty.call(activePalette.beams, name) ? activePalette.beams[name] : color;
+}
+
+export function getBeamColor(index) {
+  return Color3.FromHexString(getBeamCssColor(index));
+}
+
+export function getTrailColors() {
+  return {
+    normal: Color3.FromHexString(activePalette.trail),
+    hit: Color3.FromHexString(activePalette.trailHit),
+  };
+}
@@ -0,0 +1,43 @@
+// Geometry helpers for polygonal area-of-interest tiles. Polygons are arrays of [x, y]
+// vertices in tile-local coordinates (x from the left edge, y from the back edge).
+
+const MIN_VERTICES = 5;
+const MAX_VERTICES = 9;
+const MIN_CONCAVE_RADIUS = 0.45; // Inner vertices of concave outlines, as a fraction of the outer radius
+
+// Random star-shaped outline filling a width x depth box. Convex outlines keep every vertex on
+// the inscribed ellipse; concave ones pull alternate vertices inwards (coastlines, corridors).
+export function createPolygonOutline(width, depth, rng) {
+  const vertexCount = MIN_VERTICES + Math.floor(rng() * (MAX_VERTICES - MIN_VERTICES + 1));
+  const concave = rng() < 0.5;
+  const halfWidth = width / 2;
+  const halfDepth = depth / 2;
+  const angleStep = (Math.PI * 2) / vertexCount;
+
+  const outline = [];
+  for (let i = 0; i < vertexCount; i++) {
+    // Jitter each vertex within its own angular slot so the winding order is preserved
+    const angle = (i + 0.2 + rng() * 0.6) * angleStep;
+    const radius = concave && i % 2 === 1
+      ? MIN_CONCAVE_RADIUS + rng() * (1 - MIN_CONCAVE_RADIUS) * 0.5
+      : 1;
+    outline.push([
+      halfWidth + Math.cos(angle) * halfWidth * radius,
+      halfDepth + Math.sin(angle) * halfDepth * radius,
+    ]);
+  }
+  return outline;
+}
+
+// Even-odd ray casting; works for convex and concave outlines
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,23 @@
+// Mulberry32 - small, fast 32-bit PRNG. The same seed always yields the same sequence.
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Accepts user-supplied seeds (e.g. from the URL); returns null if not a valid 32-bit integer
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) return null;
+  return seed;
+}
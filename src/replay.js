@@ -0,0 +1,126 @@
+import { SIM_STEP } from './config.js';
+import { isDifficulty } from './difficulty.js';
+import { isGameMode } from './gameModes.js';
+import { t } from './i18n.js';
+
+// Input event types. Single characters keep exported replay files small.
+export const INPUT_MOVE = 'm';
+export const INPUT_HIT_START = 'h';
+export const INPUT_HIT_END = 'e';
+export const INPUT_WIDTH = 'w';
+export const INPUT_END = 'x'; // Player ended the run (modes with no other ending)
+
+const INPUT_TYPES = [INPUT_MOVE, INPUT_HIT_START, INPUT_HIT_END, INPUT_WIDTH, INPUT_END];
+const REPLAY_VERSION = 1;
+
+// Records every input applied to the game, timestamped in simulation ticks (not wall clock)
+export class InputRecorder {
+  constructor() {
+    this.events = [];
+    this.lastTick = 0;
+    this.seed = 0;
+    this.startRotation = 0;
+    this.step = 0;
+    this.difficulty = null;
+    this.mode = null;
+    this.recording = false;
+  }
+
+  start(seed, startRotation, step, difficulty, mode) {
+    this.events = [];
+    this.lastTick = 0;
+    this.seed = seed;
+    this.startRotation = startRotation;
+    this.step = step;
+    this.difficulty = difficulty;
+    this.mode = mode;
+    this.recording = true;
+  }
+
+  record(tick, type, value) {
+    if (!this.recording) return;
+    // Store tick deltas rather than absolute ticks to keep the JSON compact
+    const delta = tick - this.lastTick;
+    this.events.push(value === undefined ? [delta, type] : [delta, type, value]);
+    this.lastTick = tick;
+  }
+
+  cancel() {
+    this.recording = false;
+    this.events = [];
+  }
+
+  stop(tick, score) {
+    this.recording = false;
+    return {
+      v: REPLAY_VERSION,
+      seed: this.seed,
+      startRotation: this.startRotation,
+      step: this.step,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      ticks: tick,
+      score,
+      events: this.events,
+    };
+  }
+}
+
+// Feeds a recorded event log back into the game at the ticks it was recorded on
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.index = 0;
+    this.nextTick = replay.events.length > 0 ? replay.events[0][0] : Infinity;
+  }
+
+  // Apply every event due at or before this tick; call before the simulation step runs
+  applyDue(tick, game) {
+    const events = this.replay.events;
+    while (this.index < events.length && this.nextTick <= tick) {
+      const [, type, value] = events[this.index];
+      game.applyInput(type, value);
+      this.index++;
+      if (this.index < events.length) this.nextTick += events[this.index][0];
+    }
+  }
+}
+
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch {
+    throw new Error(t('replay.invalidJson'));
+  }
+
+  if (!replay || replay.v !== REPLAY_VERSION) {
+    throw new Error(t('replay.unsupportedVersion'));
+  }
+  if (!Number.isInteger(replay.seed) || !Array.isArray(replay.events)) {
+    throw new Error(t('replay.missingSeed'));
+  }
+  if (!Number.isFinite(replay.startRotation)) {
+    throw new Error(t('replay.invalidRotation'));
+  }
+  if (replay.step !== SIM_STEP) {
+    throw new Error(t('replay.unsupportedStep'));
+  }
+  if (replay.difficulty !== undefined && !isDifficulty(replay.difficulty)) {
+    throw new Error(t('replay.unknownDifficulty'));
+  }
+  if (replay.mode !== undefined && !isGameMode(replay.mode)) {
+    throw new Error(t('replay.unknownMode'));
+  }
+  const validEvents = replay.events.every(
+    (event) => Array.isArray(event) && Number.isInteger(event[0]) && event[0] >= 0 && INPUT_TYPES.includes(event[1])
+  );
+  if (!validEvents) {
+    throw new Error(t('replay.invalidEvents'));
+  }
+  return replay;
+}
@@ -0,0 +1,64 @@
+const REQUEST_TIMEOUT = 8000; // ms before a request counts as failed
+
+// Query string from the params that are set
+function queryString(params) {
+  return new URLSearchParams(Object.entries(params).filter(([, value]) => value !== null)).toString();
+}
+
+// Leaderboard on our own server. Expected API, all JSON:
+//   GET  {url}/scores?mode=M&limit=N&offset=N[&since=ISO]
+//                                -> [{ id, name, score, mode, date, verified }, ...] highest first
+//   POST {url}/scores            <- { id, name, score, mode, date, v, replay } - a repeated id
+//                                   is a retry of the same submission and must not add a
+//                                   second entry. Check the replay with verifySubmission
+//                                   (src/verification.js) before setting verified.
+//   GET  {url}/rank?mode=M&score=N[&since=ISO]  -> { rank } (1 = top)
+//   GET  {url}/best?mode=M&name=S[&since=ISO]   -> the player's highest entry, or null
+// Each game mode (src/gameModes.js) is a separate board. `since` limits a query to entries
+// dated at or after it (daily and weekly boards).
+export class RestLeaderboard {
+  constructor({ url }) {
+    this.id = 'rest';
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  async init() {
+    if (!this.url) throw new Error('No leaderboard URL configured');
+  }
+
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+      const response = await fetch(`${this.url}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal,
+      });
+      if (!response.ok) throw new Error(`Leaderboard server returned ${response.status}`);
+      return response.status === 204 ? null : response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async submitScore(entry) {
+    await this.request('/scores', { method: 'POST', body: JSON.stringify(entry) });
+  }
+
+  async getTopScores(limit, { mode, since = null, offset = 0 }) {
+    const scores = await this.request(`/scores?${queryString({ mode, limit, offset, since })}`);
+    if (!Array.isArray(scores)) throw new Error('Leaderboard server returned invalid scores');
+    return scores;
+  }
+
+  async getRank(score, { mode, since = null }) {
+    const { rank } = await this.request(`/rank?${queryString({ mode, score, since })}`);
+    if (!Number.isInteger(rank)) throw new Error('Leaderboard server returned an invalid rank');
+    return rank;
+  }
+
+  async getBestScore(name, { mode, since = null }) {
+    return this.request(`/best?${queryString({ mode, name, since })}`);
+  }
+}
@@ -0,0 +1,53 @@
+import { BEAM_MODES } from "./beamModes.js";
+
+// Per-run tallies kept by the simulation: acquisitions by outcome and beam mode, and how
+// long the radar spent imaging. A tile's coverage counts towards the beam mode the tile
+// calls for.
+export class RunStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.seen = 0;
+    this.acquired = 0;
+    this.lost = 0;
+    this.imagingTime = 0;
+    this.elapsed = 0;
+    this.beams = BEAM_MODES.map(() => ({ tiles: 0, acquired: 0, coverage: 0 }));
+  }
+
+  update(deltaTime, imaging) {
+    this.elapsed += deltaTime;
+    if (imaging) this.imagingTime += deltaTime;
+  }
+
+  tileSpawned() {
+    this.seen++;
+  }
+
+  tilePassed(widthIndex, percent, lostLife) {
+    if (lostLife) this.lost++;
+    else this.acquired++;
+
+    const beam = this.beams[widthIndex];
+    beam.tiles++;
+    if (!lostLife) beam.acquired++;
+    beam.coverage += percent;
+  }
+
+  // Plain record of the finished run (times in seconds, coverage as an average percent)
+  summarize() {
+    const beams = {};
+    BEAM_MODES.forEach((mode, i) => {
+      const { tiles, acquired, coverage } = this.beams[i];
+      beams[mode.name] = { tiles, acquired, coverage: tiles === 0 ? 0 : Math.round((coverage / tiles) * 10) / 10 };
+    });
+    return {
+      duration: Math.round(this.elapsed * 10) / 10,
+      imaging: Math.round(this.imagingTime * 10) / 10,
+      tiles: { seen: this.seen, acquired: this.acquired, lost: this.lost },
+      beams,
+    };
+  }
+}
@@ -13,13 +13,19 @@ import {
   SceneLoader,
   GlowLayer,
   Matrix,
+  TransformNode,
+  VertexData,
 } from '@babylonjs/core';
 import '@babylonjs/loaders/OBJ';
 import earthTextureUrl from './Earth.jpg';
 
 
-export async function createScene(canvas) {
-  const engine = new Engine(canvas, true);
+const SPHERE_DIAMETER = 600;
+
+// `quality` sets the initial graphics level (see graphics.js); the returned `environment`
+// exposes the expensive parts so the level can be changed live
+export async function createScene(canvas, quality) {
+  const engine = new Engine(canvas, quality.antialias);
   const scene = new Scene(engine);
   scene.clearColor = new Color3(0.02, 0.02, 0.05);
 
@@ -35,30 +41,49 @@ export async function createScene(canvas) {
   const directionalLight = new DirectionalLight('directional', new Vector3(-1, -0.1, 0), scene);
   directionalLight.intensity = 1.5;
 
-  const { ground, earthTexture } = createTrack(scene);
-  createStarfield(scene, ground);
+  const { ground, earth, earthTexture, atmosphereLayers, glowLayer } = createTrack(scene, quality);
+  const starfield = createStarfield(scene, ground, quality.starCount);
   loadR2Model(scene);
 
   window.addEventListener('resize', () => engine.resize());
 
-  return { scene, camera, engine, ground, earthTexture };
+  let sphereSegments = quality.sphereSegments;
+  const environment = {
+    atmosphereLayers,
+    glowLayer,
+    setStarCount: (count) => starfield.setStarCount(count),
+    setSphereSegments: (segments) => {
+      if (segments === sphereSegments) return;
+      sphereSegments = segments;
+      VertexData.CreateSphere({ diameter: SPHERE_DIAMETER, segments }).applyToMesh(earth);
+    },
+  };
+
+  return { scene, camera, engine, ground, earth, earthTexture, environment };
 }
 
-function createTrack(scene) {
-  const sphereRadius = 300;
-  const ground = MeshBuilder.CreateSphere('ground', { diameter: sphereRadius * 2, segments: 64 }, scene);
+function createTrack(scene, quality) {
+  const sphereRadius = SPHERE_DIAMETER / 2;
+
+  // Orbit frame that rotates under the satellite - tiles, trails and the Earth hang off it
+  const ground = new TransformNode('ground', scene);
   ground.position.y = -sphereRadius - 0.5;
 
+  // The Earth sits in the orbit frame unrotated, except in orbital mode where it is
+  // oriented so the real sub-satellite point lies under the satellite
+  const earth = MeshBuilder.CreateSphere('earth', { diameter: SPHERE_DIAMETER, segments: quality.sphereSegments }, scene);
+  earth.parent = ground;
+
   const earthTexture = new Texture(earthTextureUrl, scene);
   const groundMaterial = new StandardMaterial('groundMaterial', scene);
   groundMaterial.diffuseTexture = earthTexture;
   groundMaterial.diffuseColor = new Color3(5, 5, 5);
-  ground.material = groundMaterial;
+  earth.material = groundMaterial;
 
   // Add atmospheric haze around the globe
-  createAtmosphere(scene, ground, sphereRadius);
+  const { atmosphereLayers, glowLayer } = createAtmosphere(scene, ground, sphereRadius);
 
-  return { ground, earthTexture };
+  return { ground, earth, earthTexture, atmosphereLayers, glowLayer };
 }
 
 function createAtmosphere(scene, ground, sphereRadius) {
@@ -100,9 +125,12 @@ function createAtmosphere(scene, ground, sphereRadius) {
   glowLayer.intensity = 0.5;
   glowLayer.addIncludedOnlyMesh(atmosphere);
   glowLayer.addIncludedOnlyMesh(outerHaze);
+
+  // Inner layer first, so lower quality levels drop the outer haze before the atmosphere
+  return { atmosphereLayers: [atmosphere, outerHaze], glowLayer };
 }
 
-function createStarfield(scene, ground) {
+function createStarfield(scene, ground, initialStarCount) {
   // Background sphere for subtle space color
   const starSphere = MeshBuilder.CreateSphere('starfield', { diameter: 2000, segments: 16 }, scene);
   const starMaterial = new StandardMaterial('starMaterial', scene);
@@ -114,6 +142,20 @@ function createStarfield(scene, ground) {
   starSphere.infiniteDistance = true;
   starSphere.parent = ground;
 
+  let starMeshes = [];
+  let starCount = 0;
+  const setStarCount = (count) => {
+    if (count === starCount) return;
+    starCount = count;
+    starMeshes.forEach((mesh) => mesh.dispose(false, true));
+    starMeshes = createStars(scene, ground, count);
+  };
+  setStarCount(initialStarCount);
+
+  return { setStarCount };
+}
+
+function createStars(scene, ground, totalStars) {
   // Use thin instances for stars - much more efficient than 2000 individual meshes
   // Group stars by color type for instancing (3 draw calls instead of 2000)
   const starGroups = [
@@ -122,7 +164,6 @@ function createStarfield(scene, ground) {
     { color: new Color3(1, 0.9, 0.7), weight: 0.05 },     // Yellow-orange stars (5%)
   ];
 
-  const totalStars = 2000;
   const starRadius = 950;
 
   // Pre-generate all star positions
@@ -145,6 +186,7 @@ function createStarfield(scene, ground) {
   }
 
   // Create instanced mesh for each color group
+  const meshes = [];
   starGroups.forEach((group, groupIndex) => {
     const starsInGroup = starData.filter(s => s.colorIndex === groupIndex);
     if (starsInGroup.length === 0) return;
@@ -183,7 +225,9 @@ function createStarfield(scene, ground) {
 
     baseStar.thinInstanceSetBuffer("matrix", matricesData, 16);
     baseStar.thinInstanceSetBuffer("color", colorData, 4);
+    meshes.push(baseStar);
   });
+  return meshes;
 }
 
 async function loadR2Model(scene) {
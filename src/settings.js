@@ -0,0 +1,21 @@
+import { loadSetting, saveSetting } from './storage.js';
+
+// Player preferences edited from the settings panel
+export const DEFAULT_SETTINGS = {
+  gamepadDeadZone: 0.15, // Stick/trigger travel ignored around rest (0-1)
+  gamepadSensitivity: 1, // Multiplier on the gamepad aim speed
+  masterVolume: 0.8, // 0-1
+  sfxVolume: 0.8,
+  musicVolume: 0.4,
+  muted: false,
+  palette: 'standard', // Beam and trail colours, a key of PALETTES
+};
+
+export function loadSettings() {
+  const saved = loadSetting('settings', {});
+  return { ...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+}
+
+export function saveSettings(settings) {
+  saveSetting('settings', settings);
+}
@@ -0,0 +1,507 @@
+import { Observable } from "@babylonjs/core";
+import { TileSpawner } from "./tile.js";
+import { TrailSpawner } from "./trail.js";
+import { Spacecraft } from "./spacecraft.js";
+import { GroundStationSpawner } from "./groundStation.js";
+import { createRng, randomSeed } from "./random.js";
+import {
+  InputRecorder,
+  ReplayPlayer,
+  INPUT_MOVE,
+  INPUT_HIT_START,
+  INPUT_HIT_END,
+  INPUT_WIDTH,
+  INPUT_END,
+} from "./replay.js";
+import { SPHERE_RADIUS, POLYGON_TILE_CHANCE, SIM_STEP } from "./config.js";
+import { BEAM_MODES } from "./beamModes.js";
+import { RunStats } from "./runStats.js";
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from "./difficulty.js";
+import { GAME_MODES, DEFAULT_GAME_MODE } from "./gameModes.js";
+
+const MAX_FRAME_TIME = 0.25; // Cap on simulated time per frame (e.g. after a stalled tab)
+const TARGET_X_LIMIT = 3;
+const STATION_SEED_SALT = 0x5bd1e995; // Gives ground stations their own stream from the run seed
+
+// Tile/trail/scoring state with no DOM or GUI dependencies. Runs in the browser or under
+// Node with a NullEngine; presentation layers subscribe to the observables below.
+export class Simulation {
+  constructor(scene, ground) {
+    this.scene = scene;
+    this.ground = ground;
+
+    // Game parameters
+    this.tileSpeed = 10; // Units per second (linear velocity)
+    this.angularVelocity = this.tileSpeed / SPHERE_RADIUS; // Radians per second
+
+    // Run seed - drives every random tile decision so a run can be reproduced
+    this.seed = randomSeed();
+
+    // Slew and beam-switch limits
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.agility = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+
+    // Lives, pass threshold, time limit and scoring
+    this.mode = DEFAULT_GAME_MODE;
+    this.rules = GAME_MODES[DEFAULT_GAME_MODE];
+
+    // Game state
+    this.tiles = [];
+    this.spawner = new TileSpawner(this.angularVelocity, createRng(this.seed), {
+      polygonChance: POLYGON_TILE_CHANCE,
+    });
+    this.trailSpawner = new TrailSpawner();
+    this.stations = [];
+    this.stationSpawner = new GroundStationSpawner(this.angularVelocity, createRng(this.seed ^ STATION_SEED_SALT));
+    this.downlinkStation = null; // Station currently receiving data, if any
+    this.spacecraft = new Spacecraft(); // Recorder and battery
+    this.runStats = new RunStats();
+    this.score = 0;
+    this.lives = this.getStartingLives();
+    this.dataLosses = 0;
+    this.gameOver = false;
+    this.isHitting = false;
+
+    // Target zone state - the zone slews towards the aim point rather than jumping to it
+    this.targetX = 0;
+    this.aimX = 0;
+    this.slewVelocity = 0;
+    this.targetWidthIndex = 0; // Default to first width (key A)
+    this.beamSwitchRemaining = 0; // Seconds until a newly selected beam mode is ready
+
+    // Fixed-step simulation clock
+    this.tick = 0;
+    this.accumulator = 0;
+
+    // Input recording and replay playback
+    this.recorder = new InputRecorder();
+    this.lastReplay = null;
+    this.replayPlayer = null;
+
+    // Events for presentation layers and headless tooling
+    this.onTileSpawnedObservable = new Observable(); // tile
+    this.onTilePassedObservable = new Observable(); // { tile, percent, lostLife }
+    this.onScoreChangedObservable = new Observable(); // score
+    this.onLivesChangedObservable = new Observable(); // lives
+    this.onTargetMovedObservable = new Observable(); // x
+    this.onTargetWidthChangedObservable = new Observable(); // widthIndex
+    this.onHittingChangedObservable = new Observable(); // isHitting
+    this.onBeamReadyObservable = new Observable(); // widthIndex, once a beam switch completes
+    this.onResourceEventObservable = new Observable(); // "recorderFull" | "batteryEmpty"
+    this.onDownlinkChangedObservable = new Observable(); // station | null
+    this.onGameOverObservable = new Observable(); // { score, replay, lostPoints, lostData }
+  }
+
+  // Run as many fixed steps as the elapsed frame time allows
+  advance(deltaTime) {
+    this.accumulator += Math.min(deltaTime, MAX_FRAME_TIME);
+    while (this.accumulator >= SIM_STEP && !this.gameOver) {
+      this.accumulator -= SIM_STEP;
+      this.runStep();
+    }
+  }
+
+  runStep() {
+    if (this.replayPlayer) {
+      this.replayPlayer.applyDue(this.tick, this);
+    }
+    this.step(SIM_STEP);
+    this.tick++;
+  }
+
+  step(deltaTime) {
+    this.ground.rotation.x += this.angularVelocity * deltaTime;
+
+    // Several steps can run per rendered frame - invalidate cached world matrices
+    this.scene.incrementRenderId();
+
+    this.updateSlew(deltaTime);
+    this.updateBeamSwitch(deltaTime);
+
+    // Spawn new tiles
+    const newTile = this.spawner.update(deltaTime, this.scene, this.ground);
+    if (newTile) {
+      this.tiles.push(newTile);
+      this.runStats.tileSpawned();
+      this.onTileSpawnedObservable.notifyObservers(newTile);
+    }
+
+    this.updateStations(deltaTime);
+
+    // Update trail spawn position if currently spawning
+    if (this.isHitting) {
+      this.trailSpawner.updateSpawnPosition(this.targetX, this.targetWidthIndex);
+    }
+
+    // Imaging fills the recorder and drains the battery
+    const resourceEvent = this.spacecraft.update(deltaTime, this.isImaging(), this.targetWidthIndex);
+    this.runStats.update(deltaTime, this.isImaging());
+    if (resourceEvent && !this.gameOver) {
+      this.onResourceEventObservable.notifyObservers(resourceEvent);
+      if (resourceEvent === "batteryEmpty") {
+        this.endHit();
+      } else {
+        this.loseLife();
+      }
+    }
+
+    // Spawn trails based on rotation (fills gaps regardless of frame rate)
+    this.trailSpawner.spawnTrails(this.ground.rotation.x, this.scene, this.ground);
+
+    // Update trails (removes old ones, highlights overlapping with tiles, adds coverage)
+    this.trailSpawner.update(deltaTime, this.angularVelocity, this.tiles);
+
+    // Check tile positions and coverage
+    for (let i = this.tiles.length - 1; i >= 0; i--) {
+      const tile = this.tiles[i];
+
+      // Update tile age
+      tile.updateAge(deltaTime);
+
+      // Check if tile just passed the target zone
+      if (tile.checkPassedTarget() && !this.gameOver) {
+        this.scoreTile(tile);
+      }
+
+      // Remove tiles after they've rotated 30 degrees (based on age and rotation rate)
+      const rotationAngleDegrees = (tile.age * this.angularVelocity * 180) / Math.PI;
+      if (rotationAngleDegrees > 30) {
+        tile.dispose();
+        this.tiles.splice(i, 1);
+      }
+    }
+
+    // Timed modes end once the clock runs out (this step finishes tick + 1 steps of play)
+    if (this.rules.timeLimit !== null && !this.gameOver && this.tick + 1 >= this.getTimeLimitTicks()) {
+      this.triggerGameOver();
+    }
+  }
+
+  // Move the target zone towards the aim point, limited by the slew rate and acceleration
+  updateSlew(deltaTime) {
+    const distance = this.aimX - this.targetX;
+    if (distance === 0 && this.slewVelocity === 0) return;
+
+    const { slewRate, slewAcceleration } = this.agility;
+    // Fastest speed from which the zone can still stop at the aim point
+    const stoppingSpeed = Math.sqrt(2 * slewAcceleration * Math.abs(distance));
+    const desired = Math.sign(distance) * Math.min(slewRate, stoppingSpeed);
+    const maxChange = slewAcceleration * deltaTime;
+    this.slewVelocity += Math.max(-maxChange, Math.min(maxChange, desired - this.slewVelocity));
+
+    const next = this.targetX + this.slewVelocity * deltaTime;
+    if (Math.sign(this.aimX - next) !== Math.sign(distance) || Math.abs(this.aimX - next) < 1e-4) {
+      // Arrived (or would overshoot)
+      this.targetX = this.aimX;
+      this.slewVelocity = 0;
+    } else {
+      this.targetX = next;
+    }
+    this.onTargetMovedObservable.notifyObservers(this.targetX);
+  }
+
+  updateBeamSwitch(deltaTime) {
+    if (this.beamSwitchRemaining <= 0) return;
+    this.beamSwitchRemaining -= deltaTime;
+    if (this.beamSwitchRemaining > 0) return;
+
+    this.beamSwitchRemaining = 0;
+    // Imaging was requested while reconfiguring - start it now
+    if (this.isHitting) {
+      this.trailSpawner.startSpawning(this.targetX, this.targetWidthIndex, this.ground.rotation.x);
+    }
+    this.onBeamReadyObservable.notifyObservers(this.targetWidthIndex);
+  }
+
+  isSwitchingBeam() {
+    return this.beamSwitchRemaining > 0;
+  }
+
+  // The radar is actually collecting (imaging held and the beam not reconfiguring)
+  isImaging() {
+    return this.isHitting && !this.isSwitchingBeam();
+  }
+
+  // Spawn, expire and check visibility of ground stations, downlinking to the first in view
+  updateStations(deltaTime) {
+    const newStation = this.stationSpawner.update(deltaTime, this.scene, this.ground);
+    if (newStation) {
+      this.stations.push(newStation);
+    }
+
+    let downlinkStation = null;
+    for (let i = this.stations.length - 1; i >= 0; i--) {
+      const station = this.stations[i];
+      station.updateAge(deltaTime);
+      if (station.updateVisibility()) {
+        downlinkStation = station;
+      }
+
+      // Remove stations once well past the satellite
+      const rotationAngleDegrees = (station.age * this.angularVelocity * 180) / Math.PI;
+      if (rotationAngleDegrees > 60) {
+        station.dispose();
+        this.stations.splice(i, 1);
+      }
+    }
+
+    if (downlinkStation !== this.downlinkStation) {
+      this.downlinkStation = downlinkStation;
+      this.onDownlinkChangedObservable.notifyObservers(downlinkStation);
+    }
+
+    if (downlinkStation && !this.gameOver) {
+      const points = this.spacecraft.downlink(deltaTime);
+      if (points > 0) {
+        this.score += points;
+        this.onScoreChangedObservable.notifyObservers(this.score);
+      }
+    }
+  }
+
+  // An acquisition's points are held on the recorder until its data is downlinked (Time Attack
+  // credits them as it passes)
+  scoreTile(tile) {
+    const percent = tile.getCoveragePercent();
+    const lostLife = percent < this.rules.passThreshold;
+    if (this.rules.scoreOnPass) {
+      // Coverage counts straight away; the data still has to leave the recorder
+      this.spacecraft.storeAcquisition(0);
+      this.score += Math.round(percent);
+      this.onScoreChangedObservable.notifyObservers(this.score);
+    } else {
+      this.spacecraft.storeAcquisition(Math.round(percent));
+    }
+    this.runStats.tilePassed(tile.widthIndex, percent, lostLife);
+    this.onTilePassedObservable.notifyObservers({ tile, percent, lostLife });
+
+    if (lostLife) {
+      this.loseLife();
+    }
+  }
+
+  // Data loss - from a poorly imaged acquisition or a recorder overflow
+  loseLife() {
+    this.dataLosses++;
+    this.lives--;
+    this.onLivesChangedObservable.notifyObservers(this.lives);
+    if (this.lives <= 0) {
+      this.triggerGameOver();
+    }
+  }
+
+  // Apply an input to the game state and record it against the current simulation tick
+  applyInput(type, value) {
+    switch (type) {
+      case INPUT_MOVE: {
+        // Round so the recorded value reproduces the live aim exactly
+        const x = Math.round(Math.max(-TARGET_X_LIMIT, Math.min(TARGET_X_LIMIT, value)) * 1000) / 1000;
+        if (x === this.aimX) return;
+        this.aimX = x;
+        break;
+      }
+      case INPUT_HIT_START:
+        if (!this.startHit()) return;
+        break;
+      case INPUT_HIT_END:
+        this.endHit();
+        break;
+      case INPUT_WIDTH:
+        if (!this.switchTargetWidth(value)) return;
+        break;
+      case INPUT_END:
+        // Recorded before the run stops so a replay ends on the same tick
+        if (this.gameOver) return;
+        this.recorder.record(this.tick, type);
+        this.triggerGameOver();
+        return;
+      default:
+        return;
+    }
+    this.recorder.record(this.tick, type, value);
+  }
+
+  startHit() {
+    if (!this.spacecraft.canImage()) return false; // Battery still recovering
+    this.isHitting = true;
+    // Start trail spawning at current position, or once the beam has finished switching
+    if (!this.isSwitchingBeam()) {
+      this.trailSpawner.startSpawning(this.targetX, this.targetWidthIndex, this.ground.rotation.x);
+    }
+    this.onHittingChangedObservable.notifyObservers(true);
+    return true;
+  }
+
+  endHit() {
+    this.isHitting = false;
+    // Stop trail spawning
+    this.trailSpawner.stopSpawning();
+    this.onHittingChangedObservable.notifyObservers(false);
+  }
+
+  switchTargetWidth(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= BEAM_MODES.length) return false;
+    if (this.isHitting) return false; // Cannot switch beams while hitting
+    if (index === this.targetWidthIndex) return false;
+    this.targetWidthIndex = index;
+    this.beamSwitchRemaining = this.agility.beamSwitchDelay;
+    this.onTargetWidthChangedObservable.notifyObservers(index);
+    return true;
+  }
+
+  triggerGameOver() {
+    this.gameOver = true;
+
+    const replay = this.replayPlayer !== null;
+    if (replay) {
+      this.replayPlayer = null;
+    } else {
+      this.lastReplay = this.recorder.stop(this.tick, this.score);
+    }
+    // Anything still on the recorder never reaches the ground
+    this.onGameOverObservable.notifyObservers({
+      score: this.score,
+      replay,
+      lostPoints: this.spacecraft.getPendingPoints(),
+      lostData: this.spacecraft.getRecorderUsed(),
+    });
+  }
+
+  reset(seed = randomSeed()) {
+    // Remove all tiles from scene
+    this.tiles.forEach((tile) => {
+      tile.dispose();
+    });
+    this.tiles = [];
+    this.stations.forEach((station) => {
+      station.dispose();
+    });
+    this.stations = [];
+    this.downlinkStation = null;
+
+    // Reset game state
+    this.score = 0;
+    this.lives = this.getStartingLives();
+    this.dataLosses = 0;
+    this.gameOver = false;
+    this.isHitting = false;
+    this.tick = 0;
+    this.accumulator = 0;
+    this.replayPlayer = null;
+
+    // Reset target zone width and position
+    this.targetX = 0;
+    this.aimX = 0;
+    this.slewVelocity = 0;
+    this.targetWidthIndex = 0;
+    this.beamSwitchRemaining = 0;
+
+    // Reset sphere rotation
+    this.ground.rotation.x = 0;
+
+    // Reset spawners
+    this.spawner.reset();
+    this.stationSpawner.reset();
+    this.trailSpawner.reset();
+    this.spacecraft.reset();
+    this.runStats.reset();
+    this.setSeed(seed);
+    this.startRecording();
+  }
+
+  // Start a run from the ground's current rotation (used for the first game after the menu)
+  start(seed = randomSeed()) {
+    this.setSeed(seed);
+    this.spawner.syncToRotation(this.ground.rotation.x);
+    this.stationSpawner.syncToRotation(this.ground.rotation.x);
+    this.tick = 0;
+    this.accumulator = 0;
+    this.lives = this.getStartingLives();
+    this.dataLosses = 0;
+    this.runStats.reset();
+    this.startRecording();
+  }
+
+  setDifficulty(name) {
+    this.difficulty = name;
+    this.agility = DIFFICULTY_PRESETS[name];
+  }
+
+  getDifficulty() {
+    return this.difficulty;
+  }
+
+  // Takes effect from the next reset or start
+  setMode(name) {
+    this.mode = name;
+    this.rules = GAME_MODES[name];
+    this.spawner.setPacing(this.rules.pacing);
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  getStartingLives() {
+    return this.rules.lives ?? Infinity;
+  }
+
+  getTimeLimitTicks() {
+    return Math.round(this.rules.timeLimit / SIM_STEP);
+  }
+
+  // Seconds left in a timed mode, or null when the mode has no time limit
+  getTimeRemaining() {
+    if (this.rules.timeLimit === null) return null;
+    return Math.max(0, (this.getTimeLimitTicks() - this.tick) * SIM_STEP);
+  }
+
+  setSeed(seed) {
+    this.seed = seed;
+    this.spawner.setRng(createRng(seed));
+    this.stationSpawner.setRng(createRng(seed ^ STATION_SEED_SALT));
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  // Begin a fresh input log, seeded with the state the run starts from
+  startRecording() {
+    this.recorder.start(this.seed, this.ground.rotation.x, SIM_STEP, this.difficulty, this.mode);
+    this.recorder.record(this.tick, INPUT_MOVE, this.aimX);
+    if (this.targetWidthIndex !== 0) {
+      this.recorder.record(this.tick, INPUT_WIDTH, this.targetWidthIndex);
+    }
+    if (this.isHitting) {
+      this.recorder.record(this.tick, INPUT_HIT_START);
+    }
+  }
+
+  getLastReplay() {
+    return this.lastReplay;
+  }
+
+  getRunStats() {
+    return this.runStats.summarize();
+  }
+
+  isReplaying() {
+    return this.replayPlayer !== null;
+  }
+
+  // Reset to the replay's seed and starting rotation, then let the recorded inputs drive the run
+  startReplay(replay) {
+    if (replay.step !== SIM_STEP) {
+      throw new Error("Replay was recorded with a different simulation step");
+    }
+    this.setDifficulty(replay.difficulty ?? DEFAULT_DIFFICULTY);
+    this.setMode(replay.mode ?? DEFAULT_GAME_MODE);
+    this.reset(replay.seed);
+    this.recorder.cancel();
+    this.ground.rotation.x = replay.startRotation;
+    this.spawner.syncToRotation(replay.startRotation);
+    this.stationSpawner.syncToRotation(replay.startRotation);
+    this.replayPlayer = new ReplayPlayer(replay);
+  }
+}
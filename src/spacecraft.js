@@ -0,0 +1,102 @@
+import { BEAM_MODES } from "./beamModes.js";
+
+export const RECORDER_CAPACITY = 8000; // Mbit of onboard solid-state storage
+const DOWNLINK_RATE = 1500; // Mbit/s sent while a ground station is in view
+export const BATTERY_CAPACITY = 100; // Percent
+const IMAGING_POWER_DRAW = 10; // Percent per second while the radar is on
+const SOLAR_RECHARGE_RATE = 3.5; // Percent per second from the solar arrays
+const BATTERY_RESTART_LEVEL = 5; // Charge needed to switch the radar back on after a brownout
+
+// Onboard resources: imaging fills the recorder at the beam mode's data rate and drains the
+// battery, which the solar arrays slowly recharge. Pure state, advanced by the simulation.
+//
+// The recorder is a first-in first-out queue. Data imaged since the last acquisition passed
+// is held as `unassignedData`; scoring an acquisition attaches its points to that data as a
+// packet, and the points only count once the whole packet has been downlinked.
+export class Spacecraft {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.packets = []; // { data, points } waiting for a ground station, oldest first
+    this.unassignedData = 0;
+    this.batteryCharge = BATTERY_CAPACITY;
+    this.brownout = false; // Battery ran flat; imaging is blocked until it recovers
+  }
+
+  // Advance by one step. Returns "recorderFull" or "batteryEmpty" when a limit is hit.
+  update(deltaTime, imaging, modeIndex) {
+    if (imaging) {
+      this.unassignedData += BEAM_MODES[modeIndex].dataRate * deltaTime;
+      this.batteryCharge -= IMAGING_POWER_DRAW * deltaTime;
+    }
+    this.batteryCharge = Math.min(BATTERY_CAPACITY, this.batteryCharge + SOLAR_RECHARGE_RATE * deltaTime);
+
+    if (this.brownout && this.batteryCharge >= BATTERY_RESTART_LEVEL) {
+      this.brownout = false;
+    }
+
+    if (this.getRecorderUsed() >= RECORDER_CAPACITY) {
+      // Recorder overflow - everything stored is lost
+      this.purge();
+      return "recorderFull";
+    }
+    if (imaging && this.batteryCharge <= 0) {
+      this.batteryCharge = 0;
+      this.brownout = true;
+      return "batteryEmpty";
+    }
+    return null;
+  }
+
+  // Attach an acquisition's points to the data imaged since the previous one
+  storeAcquisition(points) {
+    this.packets.push({ data: this.unassignedData, points });
+    this.unassignedData = 0;
+  }
+
+  // Send one step's worth of data to a ground station, oldest first. Returns the points of
+  // every acquisition whose data is now fully on the ground.
+  downlink(deltaTime) {
+    let remaining = DOWNLINK_RATE * deltaTime;
+    let points = 0;
+    while (this.packets.length > 0 && this.packets[0].data <= remaining) {
+      const packet = this.packets.shift();
+      remaining -= packet.data;
+      points += packet.points;
+    }
+    if (this.packets.length > 0) {
+      this.packets[0].data -= remaining;
+    } else {
+      this.unassignedData = Math.max(0, this.unassignedData - remaining);
+    }
+    return points;
+  }
+
+  purge() {
+    this.packets = [];
+    this.unassignedData = 0;
+  }
+
+  getRecorderUsed() {
+    return this.packets.reduce((sum, packet) => sum + packet.data, this.unassignedData);
+  }
+
+  // Points still waiting on the recorder
+  getPendingPoints() {
+    return this.packets.reduce((sum, packet) => sum + packet.points, 0);
+  }
+
+  canImage() {
+    return !this.brownout;
+  }
+
+  getRecorderFraction() {
+    return this.getRecorderUsed() / RECORDER_CAPACITY;
+  }
+
+  getBatteryFraction() {
+    return this.batteryCharge / BATTERY_CAPACITY;
+  }
+}
@@ -0,0 +1,163 @@
+import { loadHistory, clearHistory, serializeHistory, summarizeCareer } from './careerStats.js';
+import { BEAM_MODES } from './beamModes.js';
+import { t, formatNumber } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_GAMES = 50; // Most recent games plotted on the score trend
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 6;
+
+// m:ss (or h:mm:ss) for a length of time in seconds
+function formatClock(seconds) {
+  const whole = Math.round(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const secs = String(whole % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function formatPercent(fraction) {
+  return fraction === null ? '–' : formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
+}
+
+// Career statistics from the locally saved game history: lifetime totals, personal bests,
+// accuracy per beam mode and a trend of recent scores. Rebuilt from storage on every render.
+export class StatsPanel {
+  constructor() {
+    this.totalsElement = document.getElementById('statsTotals');
+    this.bestsElement = document.getElementById('statsBests');
+    this.beamsElement = document.getElementById('statsBeams');
+    this.chartElement = document.getElementById('statsChart');
+    this.emptyElement = document.getElementById('statsEmpty');
+    this.exportButton = document.getElementById('exportStats');
+    this.clearButton = document.getElementById('clearStats');
+
+    this.exportButton.addEventListener('click', () => this.exportHistory());
+    this.clearButton.addEventListener('click', () => {
+      if (!window.confirm(t('stats.clearConfirm'))) return;
+      clearHistory();
+      this.render();
+    });
+  }
+
+  render() {
+    const history = loadHistory();
+    const { totals, bests, beams } = summarizeCareer(history);
+    const empty = history.length === 0;
+    this.emptyElement.classList.toggle('hidden', !empty);
+    this.exportButton.disabled = empty;
+    this.clearButton.disabled = empty;
+
+    const idle = Math.max(0, totals.duration - totals.imaging);
+    this.renderRows(this.totalsElement, [
+      ['stats.games', formatNumber(totals.games)],
+      ['stats.totalScore', formatNumber(totals.score)],
+      ['stats.playTime', formatClock(totals.duration)],
+      ['stats.imagingTime', formatClock(totals.imaging)],
+      ['stats.idleTime', formatClock(idle)],
+      [
+        'stats.tiles',
+        t('stats.tilesValue', {
+          seen: formatNumber(totals.seen),
+          acquired: formatNumber(totals.acquired),
+          lost: formatNumber(totals.lost),
+        }),
+      ],
+    ]);
+    // One row per mode played - a score is only comparable with others from its own mode
+    this.renderRows(
+      this.bestsElement,
+      Object.entries(bests)
+        .filter(([, best]) => best.games > 0)
+        .map(([mode, best]) => [
+          `gameMode.${mode}.name`,
+          t('stats.bestValue', {
+            score: formatNumber(best.score),
+            duration: formatClock(best.duration),
+            acquired: formatNumber(best.acquired),
+          }),
+        ])
+    );
+    this.renderRows(
+      this.beamsElement,
+      BEAM_MODES.map((mode) => {
+        const beam = beams[mode.name];
+        const coverage = beam.coverage === null ? null : beam.coverage / 100;
+        return [
+          `beamMode.${mode.name}`,
+          t('stats.beamValue', {
+            tiles: formatNumber(beam.tiles),
+            accuracy: formatPercent(beam.accuracy),
+            coverage: formatPercent(coverage),
+          }),
+        ];
+      })
+    );
+    this.renderChart(history.slice(-CHART_GAMES).map((game) => game.score));
+  }
+
+  // Label/value rows, labels given as message keys
+  renderRows(container, rows) {
+    container.innerHTML = '';
+    for (const [key, value] of rows) {
+      const row = document.createElement('div');
+      row.className = 'stat';
+      const label = document.createElement('span');
+      label.textContent = t(key);
+      const output = document.createElement('span');
+      output.className = 'stat-value';
+      output.textContent = value;
+      row.append(label, output);
+      container.appendChild(row);
+    }
+  }
+
+  // Score per game, oldest on the left, scaled to the best score shown
+  renderChart(scores) {
+    this.chartElement.innerHTML = '';
+    this.chartElement.setAttribute('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`);
+    if (scores.length === 0) return;
+
+    const max = Math.max(1, ...scores);
+    const step = scores.length > 1 ? (CHART_WIDTH - 2 * CHART_PADDING) / (scores.length - 1) : 0;
+    const points = scores.map((score, i) => {
+      const x = scores.length > 1 ? CHART_PADDING + i * step : CHART_WIDTH / 2;
+      const y = CHART_HEIGHT - CHART_PADDING - (score / max) * (CHART_HEIGHT - 2 * CHART_PADDING);
+      return [x, y];
+    });
+
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('points', points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '));
+    line.setAttribute('class', 'stats-line');
+    this.chartElement.appendChild(line);
+
+    for (const [x, y] of points) {
+      const dot = document.createElementNS(SVG_NS, 'circle');
+      dot.setAttribute('cx', x.toFixed(1));
+      dot.setAttribute('cy', y.toFixed(1));
+      dot.setAttribute('r', 2.5);
+      dot.setAttribute('class', 'stats-point');
+      this.chartElement.appendChild(dot);
+    }
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', CHART_PADDING);
+    label.setAttribute('y', 14);
+    label.setAttribute('class', 'stats-max');
+    label.textContent = formatNumber(max);
+    this.chartElement.appendChild(label);
+  }
+
+  exportHistory() {
+    const history = loadHistory();
+    if (history.length === 0) return;
+    const blob = new Blob([serializeHistory(history)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `radarsat2-history-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
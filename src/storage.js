@@ -0,0 +1,20 @@
+const KEY_PREFIX = 'radarsat2_';
+
+// JSON values in localStorage under the game's key prefix. Falls back quietly when storage
+// is disabled or the stored value is unreadable.
+export function loadSetting(key, fallback) {
+  try {
+    const raw = localStorage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveSetting(key, value) {
+  try {
+    localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+  } catch {
+    // localStorage may be disabled
+  }
+}
@@ -0,0 +1,64 @@
+import { loadSetting, saveSetting } from './storage.js';
+
+const STORAGE_KEY = 'pendingScores';
+const RETRY_BASE_DELAY = 5000; // ms before the first retry; doubles with each failure
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+
+// Client-generated id that makes a submission safe to retry - providers store entries under it
+export function createSubmissionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Score submissions that haven't reached the leaderboard yet, persisted in localStorage so
+// they survive a reload. Each item is { entry, attempts, nextAttempt } keyed by entry.id.
+export class SubmissionQueue {
+  constructor() {
+    const saved = loadSetting(STORAGE_KEY, []);
+    this.items = Array.isArray(saved) ? saved.filter((item) => item && item.entry && item.entry.id) : [];
+  }
+
+  save() {
+    saveSetting(STORAGE_KEY, this.items);
+  }
+
+  add(entry) {
+    if (this.items.some((item) => item.entry.id === entry.id)) return;
+    this.items.push({ entry, attempts: 0, nextAttempt: 0 });
+    this.save();
+  }
+
+  remove(id) {
+    this.items = this.items.filter((item) => item.entry.id !== id);
+    this.save();
+  }
+
+  // Push the next attempt back exponentially after a failure
+  markFailed(id, now = Date.now()) {
+    const item = this.items.find((queued) => queued.entry.id === id);
+    if (!item) return;
+    item.attempts++;
+    item.nextAttempt = now + Math.min(RETRY_BASE_DELAY * 2 ** (item.attempts - 1), RETRY_MAX_DELAY);
+    this.save();
+  }
+
+  // Make every item due now, e.g. when the browser comes back online
+  resetBackoff() {
+    for (const item of this.items) item.nextAttempt = 0;
+    this.save();
+  }
+
+  getDue(now = Date.now()) {
+    return this.items.filter((item) => item.nextAttempt <= now).map((item) => item.entry);
+  }
+
+  // Milliseconds until the next item is due, or null when the queue is empty
+  getNextDelay(now = Date.now()) {
+    if (this.items.length === 0) return null;
+    return Math.max(0, Math.min(...this.items.map((item) => item.nextAttempt)) - now);
+  }
+
+  getEntries() {
+    return this.items.map((item) => item.entry);
+  }
+}
@@ -1,24 +1,25 @@
-import {
-  MeshBuilder,
-  Color3,
-  Vector3,
-} from "@babylonjs/core";
-import { SPHERE_RADIUS, HEIGHT_OFFSET, TILE_WIDTHS, WIDTH_COLORS } from "./config.js";
+import { Vector3 } from "@babylonjs/core";
+import { CoverageGrid } from "./coverage.js";
+import { createPolygonOutline, pointInPolygon } from "./polygon.js";
+import { SPHERE_RADIUS, HEIGHT_OFFSET } from "./config.js";
+import { BEAM_MODES } from "./beamModes.js";
+import { createBeamOutline } from "./outline.js";
+import { getBeamColor } from "./palettes.js";
 
 const COLUMN_POSITIONS = [-2.25, -0.75, 0.75, 2.25];
 
 export class Tile {
-  constructor(column, spawnTheta, scene, ground) {
+  constructor(column, spawnTheta, scene, ground, rng = Math.random) {
     this.column = column;
     this.clickable = true;
     this.ground = ground;
-    this.widthIndex = Math.floor(Math.random() * TILE_WIDTHS.length);
-    this.TILE_WIDTH = TILE_WIDTHS[this.widthIndex];
-    this.TILE_DEPTH = 2 + Math.random() * 4;
+    this.widthIndex = Math.floor(rng() * BEAM_MODES.length); // Beam mode needed to image it
+    this.TILE_WIDTH = BEAM_MODES[this.widthIndex].swathWidth;
+    this.TILE_DEPTH = 2 + rng() * 4;
+    this.outline = this.createOutline(rng);
     this.mesh = this.createMesh(column, spawnTheta, scene);
     this.age = 0;
-    this.totalCoverageArea = 0;
-    this.tileArea = this.TILE_WIDTH * this.TILE_DEPTH;
+    this.coverage = this.createCoverage();
     this.hasPassedTarget = false;
     this.coveragePercent = 0;
   }
@@ -41,16 +42,12 @@ export class Tile {
     };
   }
 
-  addTrailCoverage(trailX, trailWidth, trailHeight) {
+  addTrailCoverage(trailX, trailZ, trailWidth, trailHeight) {
     if (this.hasPassedTarget) return;
-    const tileXBounds = this.getXBounds();
-    const overlapWidth = Math.max(0,
-      Math.min(tileXBounds.right, trailX + trailWidth / 2) -
-      Math.max(tileXBounds.left, trailX - trailWidth / 2)
-    );
-    if (overlapWidth > 0) {
-      this.totalCoverageArea += overlapWidth * trailHeight;
-    }
+    // Convert the trail strip into tile-local coordinates (x from left edge, y from back edge)
+    const x = trailX - this.getXBounds().left;
+    const y = trailZ - this.getZBounds().back;
+    this.coverage.markRect(x - trailWidth / 2, x + trailWidth / 2, y - trailHeight / 2, y + trailHeight / 2);
   }
 
   checkPassedTarget() {
@@ -58,7 +55,7 @@ export class Tile {
     if (this.getZBounds().back > 0) {
       this.hasPassedTarget = true;
       this.clickable = false;
-      this.coveragePercent = Math.min(100, (this.totalCoverageArea / this.tileArea) * 100);
+      this.coveragePercent = this.coverage.getCoveredFraction() * 100;
       return true;
     }
     return false;
@@ -68,20 +65,39 @@ export class Tile {
     return this.coveragePercent;
   }
 
-  createMesh(column, spawnTheta, scene) {
+  // Missed areas as rectangles in tile mesh space (centred on the tile, +y towards its back edge)
+  getMissedRegions() {
     const halfWidth = this.TILE_WIDTH / 2;
     const halfDepth = this.TILE_DEPTH / 2;
-    const points = [
-      new Vector3(-halfWidth, -halfDepth, 0),
-      new Vector3(halfWidth, -halfDepth, 0),
-      new Vector3(halfWidth, halfDepth, 0),
-      new Vector3(-halfWidth, halfDepth, 0),
-      new Vector3(-halfWidth, -halfDepth, 0),
+    return this.coverage.getMissedRegions().map((region) => ({
+      x: region.x0 + (region.x1 - region.x0) / 2 - halfWidth,
+      y: halfDepth - (region.y0 + (region.y1 - region.y0) / 2),
+      width: region.x1 - region.x0,
+      depth: region.y1 - region.y0,
+    }));
+  }
+
+  // Outline vertices in tile-local coordinates (x from left edge, y from back edge)
+  createOutline() {
+    return [
+      [0, 0],
+      [this.TILE_WIDTH, 0],
+      [this.TILE_WIDTH, this.TILE_DEPTH],
+      [0, this.TILE_DEPTH],
     ];
+  }
 
-    const mesh = MeshBuilder.CreateLines("tile", { points }, scene);
-    const color = WIDTH_COLORS[this.widthIndex];
-    mesh.color = new Color3(color.r, color.g, color.b);
+  createCoverage() {
+    return new CoverageGrid(this.TILE_WIDTH, this.TILE_DEPTH);
+  }
+
+  createMesh(column, spawnTheta, scene) {
+    const halfWidth = this.TILE_WIDTH / 2;
+    const halfDepth = this.TILE_DEPTH / 2;
+    // Closed line loop in mesh space (centred on the tile, +y towards its back edge)
+    const points = this.outline.map(([x, y]) => new Vector3(x - halfWidth, halfDepth - y, 0));
+    const mesh = createBeamOutline("tile", points, this.widthIndex, scene);
+    mesh.color = getBeamColor(this.widthIndex);
 
     const x = COLUMN_POSITIONS[column];
     const theta = spawnTheta + 120 * Math.PI / 180;
@@ -102,18 +118,37 @@ export class Tile {
   }
 }
 
+// Irregular area-of-interest acquisition: a convex or concave polygon inside the swath-wide
+// bounding box. Only the polygon's interior counts towards coverage.
+export class PolygonTile extends Tile {
+  createOutline(rng) {
+    return createPolygonOutline(this.TILE_WIDTH, this.TILE_DEPTH, rng);
+  }
+
+  createCoverage() {
+    return new CoverageGrid(this.TILE_WIDTH, this.TILE_DEPTH, (x, y) => pointInPolygon(x, y, this.outline));
+  }
+}
+
+// Spawn intervals in seconds; game modes can override any of them
+const DEFAULT_PACING = {
+  startInterval: 5, // Starting spawn interval (easy)
+  minInterval: 1, // Minimum spawn interval (hard)
+  restInterval: 2, // Slower interval during rest
+};
+
 export class TileSpawner {
-  constructor(angularVelocity = 0.0167) {
+  constructor(angularVelocity = 0.0167, rng = Math.random, { polygonChance = 0 } = {}) {
+    this.rng = rng; // Source of all random tile decisions (seeded for reproducible runs)
+    this.polygonChance = polygonChance; // Fraction of spawns that are polygon AOIs instead of rectangles
     this.currentSpawnTheta = 0;
     this.angularVelocity = angularVelocity; // Radians per second (matches sphere rotation)
     this.timeSinceLastSpawn = 0;
     this.gameTime = 0; // Track total game time for difficulty progression
-    this.startInterval = 5; // Starting spawn interval (easy)
-    this.minInterval = 1; // Minimum spawn interval (hard)
+    this.setPacing();
     this.rampDuration = 120; // Time in seconds to reach minimum interval
 
     // Rest period configuration
-    this.restInterval = 2; // Slower interval during rest
     this.intenseDuration = 30; // Seconds at minInterval before rest
     this.restDuration = 10; // Seconds of rest period
     this.timeAtMinInterval = 0; // Track time spent at minimum interval
@@ -183,8 +218,17 @@ export class TileSpawner {
   }
 
   spawnTile(scene, ground) {
-    const column = Math.floor(Math.random() * 4);
-    return new Tile(column, this.currentSpawnTheta, scene, ground);
+    const column = Math.floor(this.rng() * 4);
+    const TileType = this.rng() < this.polygonChance ? PolygonTile : Tile;
+    return new TileType(column, this.currentSpawnTheta, scene, ground, this.rng);
+  }
+
+  setPacing(pacing = {}) {
+    Object.assign(this, DEFAULT_PACING, pacing);
+  }
+
+  setRng(rng) {
+    this.rng = rng;
   }
 
   reset() {
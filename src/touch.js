@@ -0,0 +1,78 @@
+import { BEAM_MODES } from './beamModes.js';
+import { getBeamCssColor } from './palettes.js';
+import { t } from './i18n.js';
+
+export function isTouchDevice() {
+  return navigator.maxTouchPoints > 0 || window.matchMedia('(pointer: coarse)').matches;
+}
+
+// On-screen controls for touch play: a hold-to-image button and thumb-sized beam buttons.
+// Aiming is a drag on the canvas, handled by InputHandler, so each thumb has its own job.
+export class TouchControls {
+  constructor(game) {
+    this.game = game;
+    this.container = document.getElementById('touchControls');
+    this.imageButton = document.getElementById('touchImage');
+    this.imagePointerId = null;
+    this.activeBeamIndex = -1;
+
+    this.beamButtons = this.createBeamButtons();
+    this.setupImageButton();
+
+    document.body.classList.add('touch-controls');
+    this.container.classList.remove('hidden');
+  }
+
+  createBeamButtons() {
+    const row = document.getElementById('touchBeams');
+    return BEAM_MODES.map((mode, index) => {
+      const button = document.createElement('button');
+      button.className = 'touch-beam';
+      button.dataset.i18n = `beamMode.${mode.name}`;
+      button.textContent = t(button.dataset.i18n);
+      button.style.borderColor = getBeamCssColor(index);
+      button.style.borderStyle = mode.outline;
+      button.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        this.game.setTargetWidthIndex(index);
+      });
+      row.appendChild(button);
+      return button;
+    });
+  }
+
+  setupImageButton() {
+    const release = (event) => {
+      if (event.pointerId !== this.imagePointerId) return;
+      this.imagePointerId = null;
+      this.imageButton.classList.remove('active');
+      this.game.onHitEnd();
+    };
+
+    this.imageButton.addEventListener('pointerdown', (event) => {
+      event.preventDefault();
+      if (this.imagePointerId !== null) return;
+      this.imagePointerId = event.pointerId;
+      this.imageButton.setPointerCapture(event.pointerId);
+      this.imageButton.classList.add('active');
+      this.game.onHitStart();
+    });
+    this.imageButton.addEventListener('pointerup', release);
+    this.imageButton.addEventListener('pointercancel', release);
+    this.imageButton.addEventListener('lostpointercapture', release);
+  }
+
+  applyPalette() {
+    this.beamButtons.forEach((button, i) => {
+      button.style.borderColor = getBeamCssColor(i);
+    });
+  }
+
+  // Highlight the selected beam button; call once per frame
+  update() {
+    const index = this.game.getTargetWidthIndex();
+    if (index === this.activeBeamIndex) return;
+    this.activeBeamIndex = index;
+    this.beamButtons.forEach((button, i) => button.classList.toggle('active', i === index));
+  }
+}
@@ -1,26 +1,36 @@
 import {
   MeshBuilder,
   StandardMaterial,
-  Color3,
   Vector3,
 } from "@babylonjs/core";
-import { SPHERE_RADIUS, HEIGHT_OFFSET, TILE_WIDTHS } from "./config.js";
+import { SPHERE_RADIUS, HEIGHT_OFFSET } from "./config.js";
+import { BEAM_MODES } from "./beamModes.js";
+import { getTrailColors } from "./palettes.js";
 export const TRAIL_HEIGHT = 0.12;
 
-const TRAIL_COLOR_NORMAL = new Color3(1, 1, 0);
-const TRAIL_EMISSIVE_NORMAL = new Color3(0.7, 0.7, 0);
-const TRAIL_COLOR_HIT = new Color3(0, 1, 0); // Green when overlapping tile
-const TRAIL_EMISSIVE_HIT = new Color3(0, 0.8, 0);
+const TRAIL_EMISSIVE_NORMAL = 0.7; // Emissive strength relative to the palette colour
+const TRAIL_EMISSIVE_HIT = 0.8; // Highlight where the trail overlaps a matching tile
 
 // Shared materials (created once, reused by all trails)
 let sharedTrailMaterial = null;
 let sharedHighlightMaterial = null;
 
+function setMaterialColor(material, color, emissive) {
+  material.diffuseColor = color;
+  material.emissiveColor = color.scale(emissive);
+}
+
+// Recolour the shared trail materials after the palette changes
+export function applyTrailPalette() {
+  const { normal, hit } = getTrailColors();
+  if (sharedTrailMaterial) setMaterialColor(sharedTrailMaterial, normal, TRAIL_EMISSIVE_NORMAL);
+  if (sharedHighlightMaterial) setMaterialColor(sharedHighlightMaterial, hit, TRAIL_EMISSIVE_HIT);
+}
+
 function getSharedTrailMaterial(scene) {
   if (!sharedTrailMaterial) {
     sharedTrailMaterial = new StandardMaterial("sharedTrailMaterial", scene);
-    sharedTrailMaterial.diffuseColor = TRAIL_COLOR_NORMAL;
-    sharedTrailMaterial.emissiveColor = TRAIL_EMISSIVE_NORMAL;
+    setMaterialColor(sharedTrailMaterial, getTrailColors().normal, TRAIL_EMISSIVE_NORMAL);
     sharedTrailMaterial.backFaceCulling = false;
     sharedTrailMaterial.disableDepthWrite = true;
   }
@@ -30,8 +40,7 @@ function getSharedTrailMaterial(scene) {
 function getSharedHighlightMaterial(scene) {
   if (!sharedHighlightMaterial) {
     sharedHighlightMaterial = new StandardMaterial("sharedHighlightMaterial", scene);
-    sharedHighlightMaterial.diffuseColor = TRAIL_COLOR_HIT;
-    sharedHighlightMaterial.emissiveColor = TRAIL_EMISSIVE_HIT;
+    setMaterialColor(sharedHighlightMaterial, getTrailColors().hit, TRAIL_EMISSIVE_HIT);
     sharedHighlightMaterial.backFaceCulling = false;
     sharedHighlightMaterial.disableDepthWrite = true;
   }
@@ -45,7 +54,7 @@ export class Trail {
     this.age = 0;
     this.x = x; // Store x position for overlap checking
     this.widthIndex = widthIndex; // Store width index for matching
-    this.width = TILE_WIDTHS[widthIndex] * 1.1;
+    this.width = BEAM_MODES[widthIndex].swathWidth * 1.1;
     this.mesh = this.createMesh(x, theta);
     this.highlightMesh = null;
     this.isHighlighted = false;
@@ -165,13 +174,15 @@ export class TrailSpawner {
         for (const tileData of clickableTiles) {
           if (trail.widthIndex !== tileData.widthIndex) continue;
 
-          const trailInTile = trailPos.z >= tileData.zBack && trailPos.z <= tileData.zFront;
+          // Any overlap counts - the tile's coverage grid clips the strip to its own bounds
+          const trailInTile = trailPos.z + TRAIL_HEIGHT / 2 > tileData.zBack &&
+            trailPos.z - TRAIL_HEIGHT / 2 < tileData.zFront;
           if (!trailInTile) continue;
 
           const xOverlap = Math.abs(trailPos.x - tileData.x) < (trailHalfWidth + tileData.halfWidth);
           if (xOverlap) {
             trail.setHighlighted(tileData.x, tileData.tile.TILE_WIDTH);
-            tileData.tile.addTrailCoverage(trail.x, trail.width, TRAIL_HEIGHT);
+            tileData.tile.addTrailCoverage(trail.x, trailPos.z, trail.width, TRAIL_HEIGHT);
             break;
           }
         }
@@ -0,0 +1,44 @@
+import { parseReplay, serializeReplay } from "./replay.js";
+import { runHeadlessGame } from "./headless.js";
+import { SIM_STEP } from "./config.js";
+import { GAME_MODES, DEFAULT_GAME_MODE } from "./gameModes.js";
+
+// Re-run a submission's replay headlessly and check it reproduces the claimed score. When
+// the board's `mode` is given, the replay must have been played in that mode.
+// `sim` comes from createHeadlessSimulation and can be reused across submissions.
+// Returns { verified, reason } - reason says why a submission was rejected.
+export function verifySubmission(sim, { score, replay, mode = null }) {
+  let parsed;
+  try {
+    parsed = parseReplay(serializeReplay(replay));
+  } catch (err) {
+    return { verified: false, reason: err.message };
+  }
+  const replayMode = parsed.mode ?? DEFAULT_GAME_MODE;
+  if (mode !== null && replayMode !== mode) {
+    return { verified: false, reason: `Replay was played in ${replayMode}, not ${mode}` };
+  }
+  if (parsed.score !== score) {
+    return { verified: false, reason: `Replay claims ${parsed.score}, submission claims ${score}` };
+  }
+  // Runs longer than the mode allows are refused, not simulated
+  const maxTicks = Math.round(GAME_MODES[replayMode].maxDuration / SIM_STEP);
+  if (!Number.isInteger(parsed.ticks) || parsed.ticks < 0 || parsed.ticks > maxTicks) {
+    return { verified: false, reason: "Replay length is missing or too long" };
+  }
+
+  let result;
+  try {
+    result = runHeadlessGame(sim, { replay: parsed, maxTicks: parsed.ticks + 1 });
+  } catch (err) {
+    return { verified: false, reason: err.message };
+  }
+  // The recorder stamps the tick game over happened on, before the step count moves past it
+  if (!result.gameOver || result.ticks !== parsed.ticks + 1) {
+    return { verified: false, reason: `Replay ended at tick ${result.ticks - 1}, expected ${parsed.ticks}` };
+  }
+  if (result.score !== score) {
+    return { verified: false, reason: `Replay scores ${result.score}, not ${score}` };
+  }
+  return { verified: true, reason: null };
+}